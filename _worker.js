@@ -1,10 +1,92 @@
 // Image Gallery Worker
 // 为 mirrorbot 提供图集画廊服务，解决 Telegraph 国内访问问题
 
-const GALLERY_TTL = 30 * 24 * 60 * 60; // 30天（秒）
-const QUOTA_WARN_THRESHOLD = 0.98; // 98%预警
+const GALLERY_TTL = 30 * 24 * 60 * 60; // 默认有效期 30天（秒），可用 DEFAULT_TTL_DAYS 覆盖
+const MIN_TTL_DAYS = 1; // 默认最短有效期（天），可用环境变量 MIN_TTL_DAYS 覆盖
+const MAX_TTL_DAYS = 90; // 默认最长有效期（天），可用环境变量 MAX_TTL_DAYS 覆盖
+const QUOTA_WARN_THRESHOLD = 0.98; // 98%预警（可通过 QUOTA_WARN_THRESHOLD 覆盖）
+const DAILY_CREATE_LIMIT = 100; // 每日画廊创建总上限（可通过 DAILY_CREATE_LIMIT 覆盖）
+// KV 免费版每日写入 1000 次，每个公开画廊创建时最多写入 8 次（画廊 + 广场 + 作者 + 最多 5 个标签），
+// 编辑、续期、失效检查还会重写索引，默认上限按此留出余量
+const QUOTA_HISTORY_DAYS = 90; // 每日用量保留天数
+const ADMIN_COOKIE_NAME = 'gallery_admin'; // 管理后台登录 Cookie
+const ADMIN_SESSION_TTL = 7 * 24 * 60 * 60; // 管理后台登录有效期（秒）
+const ADMIN_PAGE_SIZE = 50; // 管理后台每页画廊数
+const WEBHOOK_MAX_ATTEMPTS = 3; // Webhook 最多投递次数（含首次）
+const WEBHOOK_RETRY_DELAY = 1000; // Webhook 重试间隔（毫秒，每次翻倍）
+const EXPIRING_NOTICE_WITHIN = '3d'; // 提前多久发送即将过期通知
+const EXPIRING_CHECK_INTERVAL = 86400; // 即将过期检查的间隔（秒，与 cron 一致）
+const EXPIRING_CHECK_CRON = '0 0 * * *'; // 即将过期检查的 cron（需与 wrangler.toml 一致）
+const LINK_CHECK_CRON = '30 * * * *'; // 失效图片检查的 cron（需与 wrangler.toml 一致）
+const LINK_CHECK_GALLERIES = 5; // 每次检查的画廊数
+const LINK_CHECK_MAX_REQUESTS = 40; // 每次检查最多发出的 HEAD 请求数（免费版每次调用最多 50 个子请求）
+const LINK_CHECK_CURSOR_KEY = 'linkcheck:cursor'; // 检查进度（KV.list 游标）
+const COVER_WIDTH = 1200; // 封面图尺寸（Open Graph 推荐 1200x630）
+const COVER_HEIGHT = 630;
+const COVER_MAX_IMAGE_BYTES = 2 * 1024 * 1024; // 封面中单张图片的大小上限（超出时用色块代替）
+const COVER_CACHE_TTL = 86400; // 封面图缓存时间（秒）
+const PLAZA_INDEX_PREFIX = 'plaza:'; // 广场索引键前缀
+const AUTHOR_INDEX_PREFIX = 'author:'; // 作者索引键前缀
+const TAG_INDEX_PREFIX = 'tag:'; // 标签索引键前缀
+const MAX_TAGS = 5; // 每个画廊最多标签数（每个标签多一次 KV 写入）
+const MAX_TAG_LENGTH = 20; // 单个标签最大长度
+
+// 需要特定 Referer 才能访问的图床（防盗链）
+const UPSTREAM_REFERERS = {
+    'mmbiz.qpic.cn': 'https://mp.weixin.qq.com/'
+};
+const MAX_TIMESTAMP = 9999999999999; // 用于生成倒序时间戳
+const METADATA_MAX_BYTES = 1000; // KV 元数据上限 1024 字节，留出余量
+const API_KEY_PREFIX = 'gk_'; // API Key 前缀
+const DEFAULT_KEY_DAILY_LIMIT = 100; // API Key 默认每日创建上限
+const DEFAULT_MAX_IMAGES = 200; // 单个画廊默认最多图片数
+const MAX_IMAGE_URL_LENGTH = 2048; // 单个图片地址最大长度
+const IMAGE_CACHE_TTL = 7 * 24 * 60 * 60; // 代理图片缓存7天（秒）
+let CRC32_TABLE = null; // ZIP 打包用 CRC32 查找表（首次使用时生成）
+const ZIP_MAX_IMAGES = 45; // 打包下载最多图片数（每张一次子请求，免费版每次调用最多 50 个，可用 ZIP_MAX_IMAGES 覆盖）
+const FEED_SIZE = 30; // 订阅源条目数
+const GALLERY_SECRET_FIELDS = ['manage_token_hash', 'share_secret', 'password_salt', 'password_hash']; // 不对外返回的画廊字段
+const GALLERY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/; // 客户端自定义画廊 ID 的格式
+const GALLERY_VISIBILITIES = ['public', 'unlisted', 'private']; // 公开 / 仅凭链接访问 / 私密
+const SHARE_LINK_TTL_DAYS = 7; // 私密画廊分享链接默认有效天数
+const SHARE_PAGE_TTL = 86400; // 私密画廊页面内图片、下载链接的签名有效期（秒）
+const MIN_PASSWORD_LENGTH = 4; // 画廊密码长度范围
+const MAX_PASSWORD_LENGTH = 128;
+const PASSWORD_HASH_ITERATIONS = 10000; // PBKDF2 迭代次数（兼顾免费版每次请求的 CPU 时间）
+const UNLOCK_COOKIE_NAME = 'gallery_unlock'; // 输入密码后的访问 Cookie（按画廊路径区分）
+const UNLOCK_SESSION_TTL = 7 * 24 * 60 * 60; // 输入密码后免输入的有效期（秒）
+const GALLERY_SORTS = ['newest']; // /api/galleries 支持的排序（索引只能按最新优先跨页遍历）
+const SEARCH_PAGE_SIZE = 30; // 搜索每页目标结果数
+const SEARCH_MAX_SCANS = 5; // 搜索每次请求最多扫描的索引批次（每批1000条）
+
+// 按路由分组的默认限流规则：每个 IP 在 window 秒内最多 limit 次请求
+// 可通过环境变量 RATE_LIMITS（JSON）覆盖，设为 null 表示该组不限流
+const RATE_LIMIT_RULES = {
+    create: { limit: 30, window: 60 },    // 创建画廊
+    download: { limit: 5, window: 60 },   // 打包下载
+    plaza: { limit: 60, window: 60 },     // 广场、搜索、作者页、标签页
+    api: { limit: 120, window: 60 },      // 其他 API
+    password: { limit: 5, window: 300 },  // 画廊密码错误次数（跨实例计数，输入正确后清零）
+    page: { limit: 600, window: 60 }      // 画廊页、图片代理
+};
+
+// 跨实例计数的限流分组（写入 QUOTA_COUNTER，每次请求多一次 Durable Object 调用）
+const SHARED_RATE_LIMIT_GROUPS = ['create', 'download'];
+
+// 其他分组的限流计数（按 isolate 内存保存，属尽力而为的限流）
+const rateLimitBuckets = new Map();
 
 export default {
+    // 定时任务（wrangler.toml 中的 cron）
+    async scheduled(event, env, ctx) {
+        if (event.cron === EXPIRING_CHECK_CRON) {
+            ctx.waitUntil(notifyExpiringGalleries(env, ctx));
+        }
+        if (event.cron === LINK_CHECK_CRON) {
+            ctx.waitUntil(checkGalleryLinks(env));
+        }
+    },
+
     async fetch(request, env, ctx) {
         const url = new URL(request.url);
         const path = url.pathname;
@@ -14,21 +96,99 @@ export default {
             return handleCORS();
         }
 
+        // IP 限流
+        const rateLimited = await checkRateLimit(request, env, path);
+        if (rateLimited) {
+            return rateLimited;
+        }
+
         try {
             // 1. 创建画廊 API
             if (path === '/api/create-gallery' && request.method === 'POST') {
-                return await handleCreateGallery(request, env);
+                return await handleCreateGallery(request, env, ctx);
             }
 
             // 2. 检查画廊是否存在 API
             if (path.startsWith('/api/check/') && request.method === 'GET') {
                 const galleryId = path.split('/').pop();
-                return await handleCheckGallery(galleryId, env, url.origin);
+                return await handleCheckGallery(request, galleryId, env, url.origin);
+            }
+
+            // 编辑画廊 API（修改标题/作者/主题色，追加、删除或重排图片）
+            const galleryApiMatch = path.match(/^\/api\/gallery\/([^/]+)$/);
+
+            // 读取画廊完整数据（不含密钥字段）
+            if (galleryApiMatch && request.method === 'GET') {
+                return await handleGetGallery(request, env, galleryApiMatch[1], getPublicOrigin(env, url));
+            }
+
+            if (galleryApiMatch && request.method === 'PATCH') {
+                return await handleUpdateGallery(request, env, galleryApiMatch[1]);
+            }
+
+            // 删除画廊 API（管理员或画廊所有者）
+            if (galleryApiMatch && request.method === 'DELETE') {
+                return await handleDeleteGallery(request, env, galleryApiMatch[1], ctx);
+            }
+
+            // 续期画廊 API（管理员或画廊所有者）
+            const renewMatch = path.match(/^\/api\/gallery\/([^/]+)\/renew$/);
+            if (renewMatch && request.method === 'POST') {
+                return await handleRenewGallery(request, env, renewMatch[1]);
+            }
+
+            // 私密画廊分享链接 API（管理员或画廊所有者）
+            const shareMatch = path.match(/^\/api\/gallery\/([^/]+)\/share$/);
+            if (shareMatch && request.method === 'POST') {
+                return await handleCreateShareLink(request, env, shareMatch[1], getPublicOrigin(env, url));
+            }
+            if (shareMatch && request.method === 'DELETE') {
+                return await handleRevokeShareLinks(request, env, shareMatch[1]);
+            }
+
+            // 即将过期的画廊列表 API
+            if (path === '/api/expiring' && request.method === 'GET') {
+                return await handleExpiringGalleries(request, env, url);
+            }
+
+            // 含失效图片的画廊列表 API（管理员）
+            if (path === '/api/broken' && request.method === 'GET') {
+                return await handleBrokenGalleries(request, env, url);
+            }
+
+            // 追加图片 API
+            const appendImagesMatch = path.match(/^\/api\/gallery\/([^/]+)\/images$/);
+            if (appendImagesMatch && request.method === 'POST') {
+                return await handleUpdateGallery(request, env, appendImagesMatch[1], true);
+            }
+
+            // 打包下载整个画廊（ZIP，边下载边输出）
+            const zipMatch = path.match(/^\/gallery\/([^/]+)\/download\.zip$/);
+            if (zipMatch && request.method === 'GET') {
+                return await handleDownloadZip(request, env, ctx, zipMatch[1]);
+            }
+
+            // 画廊封面图（链接预览用的拼图 SVG）
+            const coverMatch = path.match(/^\/gallery\/([^/]+)\/cover\.svg$/);
+            if (coverMatch && request.method === 'GET') {
+                return await handleGalleryCover(request, env, ctx, coverMatch[1]);
+            }
+
+            // 输入画廊密码（表单提交，验证后写入访问 Cookie）
+            const unlockMatch = path.match(/^\/gallery\/([^/]+)\/unlock$/);
+            if (unlockMatch && request.method === 'POST') {
+                return await handleUnlockGallery(request, env, unlockMatch[1]);
             }
 
             // 3. 查看画廊页面
             if (path.startsWith('/gallery/')) {
-                return await handleViewGallery(path, env);
+                return await handleViewGallery(request, env, getPublicOrigin(env, url));
+            }
+
+            // 图片代理（图床被墙或防盗链时经 Worker 中转）
+            const imageProxyMatch = path.match(/^\/img\/([^/]+)\/(\d+)$/);
+            if (imageProxyMatch && request.method === 'GET') {
+                return await handleImageProxy(request, env, ctx, imageProxyMatch[1], parseInt(imageProxyMatch[2]));
             }
 
             // 4. 画廊广场（浏览所有画廊）
@@ -36,11 +196,65 @@ export default {
                 return await handleGalleryPlaza(env, url.searchParams);
             }
 
+            // 订阅源（Atom / RSS，支持 ?author= 与 ?tag=）
+            if ((path === '/feed.xml' || path === '/rss.xml') && request.method === 'GET') {
+                return await handleFeed(env, url, path === '/feed.xml' ? 'atom' : 'rss');
+            }
+
+            // 作者页（该作者的全部画廊）
+            if (path.startsWith('/author/')) {
+                return await handleFilterPage(path, env, url.searchParams, 'author');
+            }
+
+            // 标签页（带有该标签的全部画廊）
+            if (path.startsWith('/tag/')) {
+                return await handleFilterPage(path, env, url.searchParams, 'tag');
+            }
+
+            // 广场分页 API（无限滚动加载）
+            if (path === '/api/plaza' && request.method === 'GET') {
+                return await handlePlazaPage(env, url.searchParams);
+            }
+
+            // 画廊列表 API（筛选与广场相同，支持排序）
+            if (path === '/api/galleries' && request.method === 'GET') {
+                return await handleListGalleries(env, url);
+            }
+
+            // 搜索 API（按标题/作者）
+            if (path === '/api/search' && request.method === 'GET') {
+                if (!url.searchParams.get('q')) {
+                    return Response.json({ error: '缺少搜索关键词 q' }, { status: 400 });
+                }
+                return await handlePlazaPage(env, url.searchParams);
+            }
+
+            // 重建广场索引（管理员，用于迁移旧画廊）
+            if (path === '/api/admin/reindex' && request.method === 'POST') {
+                return await handleReindex(request, env, url.searchParams);
+            }
+
+            // API Key 管理（管理员）
+            const apiKeysMatch = path.match(/^\/api\/admin\/keys(?:\/([^/]+))?$/);
+            if (apiKeysMatch) {
+                return await handleApiKeys(request, env, apiKeysMatch[1]);
+            }
+
             // 5. 配额查询 API
             if (path === '/api/quota' && request.method === 'GET') {
                 return await handleQuotaCheck(request, env);
             }
 
+            // 配额历史 API
+            if (path === '/api/quota/history' && request.method === 'GET') {
+                return await handleQuotaHistory(request, env, url);
+            }
+
+            // 管理后台（登录页、控制台及其接口）
+            if (path === '/admin' || path.startsWith('/admin/')) {
+                return await handleAdmin(request, env, url, ctx);
+            }
+
             // 6. 健康检查
             if (path === '/health') {
                 return Response.json({
@@ -63,18 +277,20 @@ export default {
 };
 
 // ========== 检查画廊是否存在 ==========
-async function handleCheckGallery(galleryId, env, origin) {
+async function handleCheckGallery(request, galleryId, env, origin) {
     try {
         const key = `gallery:${galleryId}`;
         const data = await env.KV.get(key);
         
-        if (data) {
-            const galleryData = JSON.parse(data);
+        // 无权访问的私密画廊同样视为不存在
+        const galleryData = data ? JSON.parse(data) : null;
+        if (galleryData && await hasVisibilityAccess(request, env, galleryData)) {
             return Response.json({
                 exists: true,
                 gallery_url: `${origin}/gallery/${galleryId}`,
                 image_count: galleryData.image_count || galleryData.images.length,
-                created: galleryData.created
+                created: galleryData.created,
+                ...getExpiryInfo(galleryData)
             });
         }
         
@@ -90,9 +306,87 @@ async function handleCheckGallery(galleryId, env, origin) {
     }
 }
 
+// ========== 读取画廊 API ==========
+// GET /api/gallery/:id  返回存储的完整画廊数据（去掉密钥字段）
+async function handleGetGallery(request, env, galleryId, origin) {
+    const galleryData = await env.KV.get(`gallery:${galleryId}`, 'json');
+    if (!galleryData || !await canViewGallery(request, env, galleryData)) {
+        return Response.json({
+            success: false,
+            error: 'NOT_FOUND',
+            message: '画廊不存在或已过期'
+        }, {
+            status: 404,
+            headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+    }
+
+    return Response.json(toPublicGallery(galleryData, origin), {
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': isRestrictedGallery(galleryData) ? 'private, no-store' : 'public, max-age=300'
+        }
+    });
+}
+
+// 对外返回的画廊数据：去掉密钥字段，补充链接和有效期信息
+function toPublicGallery(galleryData, origin) {
+    const gallery = { ...galleryData };
+    GALLERY_SECRET_FIELDS.forEach(field => delete gallery[field]);
+    return {
+        ...gallery,
+        visibility: getGalleryVisibility(galleryData),
+        password_protected: hasGalleryPassword(galleryData),
+        gallery_url: `${origin}/gallery/${encodeURIComponent(galleryData.id)}`,
+        ...getExpiryInfo(galleryData)
+    };
+}
+
+// ========== 画廊列表 API ==========
+// GET /api/galleries?author=&tag=&q=&sort=&limit=&cursor=
+// 筛选与 /plaza 相同；索引键按创建时间倒序，只支持能跨页保持一致的排序
+async function handleListGalleries(env, url) {
+    const sort = url.searchParams.get('sort') || 'newest';
+    if (!GALLERY_SORTS.includes(sort)) {
+        return Response.json({
+            error: 'INVALID_DATA',
+            message: `sort 只能是 ${GALLERY_SORTS.join(' / ')}`
+        }, { status: 400 });
+    }
+
+    const origin = getPublicOrigin(env, url);
+    const page = await loadPlazaPage(env, normalizePlazaParams(url.searchParams));
+    const galleries = page.galleries.map(gallery => ({
+        ...gallery,
+        gallery_url: `${origin}/gallery/${encodeURIComponent(gallery.id)}`
+    }));
+
+    return Response.json({
+        galleries,
+        sort,
+        cursor: page.cursor,
+        has_more: page.hasMore
+    }, {
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'public, max-age=300'
+        }
+    });
+}
+
 // ========== 创建画廊 ==========
-async function handleCreateGallery(request, env) {
+async function handleCreateGallery(request, env, ctx) {
     try {
+        // API Key 认证（管理员令牌同样可用，且不受单个 Key 的配额限制）
+        const client = await authenticateClient(request, env);
+        if (!client) {
+            return Response.json({
+                success: false,
+                error: 'UNAUTHORIZED',
+                message: '缺少或无效的 API Key'
+            }, { status: 401 });
+        }
+
         const data = await request.json();
 
         // 验证必需字段
@@ -104,7 +398,56 @@ async function handleCreateGallery(request, env) {
             }, { status: 400 });
         }
 
+        // 校验图片数量与地址（协议、图床白名单）
+        const maxImages = getMaxImages(env);
+        if (data.images.length > maxImages) {
+            return Response.json({
+                success: false,
+                error: 'INVALID_DATA',
+                message: `图片数量超过上限（最多 ${maxImages} 张）`,
+                max_images: maxImages
+            }, { status: 400 });
+        }
+
+        const imageResult = validateImageUrls(data.images, env);
+        if (imageResult.errors.length > 0) {
+            return Response.json({
+                success: false,
+                error: 'INVALID_DATA',
+                message: `${imageResult.errors.length} 个图片地址无效`,
+                errors: imageResult.errors
+            }, { status: 400 });
+        }
+
+        // 校验主题色（可选）
+        const themeResult = validateThemeColors(data.theme_colors);
+        if (themeResult.error) {
+            return Response.json({
+                success: false,
+                error: 'INVALID_DATA',
+                message: themeResult.error
+            }, { status: 400 });
+        }
+
+        // 校验标签（可选）
+        const tagResult = validateTags(data.tags);
+        if (tagResult.error) {
+            return Response.json({
+                success: false,
+                error: 'INVALID_DATA',
+                message: tagResult.error
+            }, { status: 400 });
+        }
+
         // 获取或生成画廊ID（支持客户端指定ID）
+        if (data.gallery_id !== undefined && data.gallery_id !== null &&
+            (typeof data.gallery_id !== 'string' || !GALLERY_ID_PATTERN.test(data.gallery_id))) {
+            return Response.json({
+                success: false,
+                error: 'INVALID_DATA',
+                message: 'gallery_id 只能包含字母、数字、下划线和连字符，长度 1-64'
+            }, { status: 400 });
+        }
         const id = data.gallery_id || generateGalleryId();
         
         // 检查画廊是否已存在
@@ -121,56 +464,112 @@ async function handleCreateGallery(request, env) {
             });
         }
 
+        // 可见性：public（默认）/ unlisted / private
+        const visibility = data.visibility === undefined ? 'public' : data.visibility;
+        if (!GALLERY_VISIBILITIES.includes(visibility)) {
+            return Response.json({
+                success: false,
+                error: 'INVALID_DATA',
+                message: `visibility 只能是 ${GALLERY_VISIBILITIES.join(' / ')}`
+            }, { status: 400 });
+        }
+
+        // 访问密码（可选）
+        const passwordError = data.password === undefined ? null : validatePassword(data.password);
+        if (passwordError) {
+            return Response.json({
+                success: false,
+                error: 'INVALID_DATA',
+                message: passwordError
+            }, { status: 400 });
+        }
+
+        // 有效期：ttl_days / expires_at / permanent（仅管理员）
+        const expiry = resolveGalleryExpiry(data, env, client);
+        if (expiry.error) {
+            return Response.json({
+                success: false,
+                error: expiry.code || 'INVALID_DATA',
+                message: expiry.error
+            }, { status: expiry.status || 400 });
+        }
+
+        // 生成管理令牌（只返回一次，KV 中仅保存哈希）
+        const manageToken = generateToken();
+
         // 构建画廊数据
         const galleryData = {
             id,
             title: data.title || '图集',
             author: data.author || '未知',
-            images: data.images, // Catbox 图床 URL 列表
+            images: imageResult.images, // Catbox 图床 URL 列表（已规范化）
             created: Date.now(),
-            image_count: data.images.length,
-            theme_colors: data.theme_colors || null // 主题色（可选）
+            expires_at: expiry.expiresAt, // 过期时间（毫秒），永久画廊为 null
+            permanent: expiry.expiresAt === null,
+            image_count: imageResult.images.length,
+            theme_colors: themeResult.themeColors, // 主题色（可选）
+            tags: tagResult.tags, // 标签（可选）
+            visibility,
+            created_by: client.apiKey ? client.apiKey.id : 'admin',
+            manage_token_hash: await sha256Hex(manageToken),
+            share_secret: generateToken() // 私密画廊分享链接的签名密钥
         };
+        if (data.password !== undefined) {
+            await setGalleryPassword(galleryData, data.password);
+        }
         
         // 日志记录主题色
         if (data.theme_colors) {
             console.log(`🎨 Gallery ${id} theme colors:`, data.theme_colors);
         }
 
-        // 存储到 KV（30天自动过期）
+        // 写入前先占用今日配额（总配额 + 该 API Key 的配额），超限直接拒绝
+        const today = getDateKey(env);
+        const counters = [{ name: getQuotaKey(today), limit: getDailyCreateLimit(env) }];
+        if (client.apiKey) {
+            counters.push({ name: getQuotaKey(today, client.apiKey.id), limit: client.apiKey.daily_limit });
+        }
+        const reservation = await reserveDailyQuota(env, counters);
+        if (!reservation.allowed) {
+            return Response.json({
+                success: false,
+                error: 'QUOTA_EXCEEDED',
+                message: reservation.exceeded === counters[0].name
+                    ? '今日画廊创建已达上限，请明天再试'
+                    : '该 API Key 今日创建次数已达上限，请明天再试'
+            }, { status: 429 });
+        }
+
+        // 存储到 KV（到期自动删除，同时写入广场索引）
         try {
-            await env.KV.put(
-                `gallery:${id}`,
-                JSON.stringify(galleryData),
-                { expirationTtl: GALLERY_TTL }
-            );
+            await saveGallery(env, galleryData);
         } catch (kvError) {
-            // KV 写入失败（可能是配额用完）
+            // 写入失败时归还已占用的配额
             console.error('KV put error:', kvError);
-            
-            // 检查是否是配额问题
-            if (kvError.message && kvError.message.includes('quota')) {
-                return Response.json({
-                    success: false,
-                    error: 'QUOTA_EXCEEDED',
-                    message: '今日画廊创建已达上限，请明天再试'
-                }, { status: 429 });
-            }
-            
+            await releaseDailyQuota(env, counters.map(counter => counter.name));
             throw kvError;
         }
 
-        // 增加今日计数（用于配额监控）
-        await incrementDailyQuota(env);
-
         // 构建画廊URL
         const galleryUrl = `${new URL(request.url).origin}/gallery/${id}`;
 
+        sendWebhook(env, ctx, 'gallery.created', {
+            id,
+            gallery_url: galleryUrl,
+            title: galleryData.title,
+            author: galleryData.author,
+            image_count: galleryData.image_count,
+            created_by: galleryData.created_by,
+            ...getExpiryInfo(galleryData)
+        });
+        notifyQuotaThresholds(env, ctx, today, counters, reservation.usage, client.apiKey);
+
         return Response.json({
             success: true,
             gallery_url: galleryUrl,
             id,
-            expires_in_days: 30
+            manage_token: manageToken,
+            ...getExpiryInfo(galleryData)
         }, {
             headers: {
                 'Access-Control-Allow-Origin': '*'
@@ -187,177 +586,3694 @@ async function handleCreateGallery(request, env) {
     }
 }
 
-// ========== 查看画廊页面 ==========
-async function handleViewGallery(path, env) {
-    const id = path.split('/')[2];
+// ========== 编辑画廊 ==========
+async function handleUpdateGallery(request, env, galleryId, appendOnly = false) {
+    try {
+        const galleryData = await env.KV.get(`gallery:${galleryId}`, 'json');
+        if (!galleryData) {
+            return Response.json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: '画廊不存在或已过期'
+            }, { status: 404 });
+        }
 
-    if (!id) {
-        return new Response('Invalid gallery ID', { status: 400 });
-    }
+        if (!await getGalleryRole(request, env, galleryData)) {
+            return Response.json({
+                success: false,
+                error: 'UNAUTHORIZED',
+                message: '无权修改该画廊'
+            }, { status: 401 });
+        }
 
-    // 从 KV 读取画廊数据
-    const galleryData = await env.KV.get(`gallery:${id}`, 'json');
+        let data;
+        try {
+            data = await request.json();
+        } catch (e) {
+            data = undefined;
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return Response.json({
+                success: false,
+                error: 'INVALID_DATA',
+                message: '请求体必须是 JSON 对象'
+            }, { status: 400 });
+        }
 
-    if (!galleryData) {
-        return new Response(
-            generateNotFoundHTML(),
-            { headers: { 'Content-Type': 'text/html; charset=utf-8' } }
-        );
-    }
+        // POST /images 只做追加
+        const changes = appendOnly ? { append: data.images } : data;
+        const result = applyGalleryChanges(galleryData, changes, env);
+        // password 为 null 或空字符串时取消密码
+        const passwordError = changes.password ? validatePassword(changes.password) : null;
+        if (result.error || passwordError) {
+            return Response.json({
+                success: false,
+                error: 'INVALID_DATA',
+                message: result.error || passwordError,
+                ...(result.errors ? { errors: result.errors } : {})
+            }, { status: 400 });
+        }
+        if (changes.password !== undefined) {
+            await setGalleryPassword(result.gallery, changes.password);
+        }
 
-    // 生成画廊 HTML
-    const html = generateGalleryHTML(galleryData);
+        // 沿用原有过期时间写回
+        await saveGallery(env, result.gallery, galleryData);
 
-    return new Response(html, {
-        headers: {
-            'Content-Type': 'text/html; charset=utf-8',
-            'Cache-Control': 'public, max-age=3600'
-        }
-    });
+        return Response.json({
+            success: true,
+            id: galleryId,
+            gallery_url: `${new URL(request.url).origin}/gallery/${galleryId}`,
+            image_count: result.gallery.image_count
+        }, {
+            headers: {
+                'Access-Control-Allow-Origin': '*'
+            }
+        });
+
+    } catch (error) {
+        console.error('Update gallery error:', error);
+        return Response.json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: error.message
+        }, { status: 500 });
+    }
 }
 
-// ========== 画廊广场 ==========
-async function handleGalleryPlaza(env, searchParams) {
+// ========== 续期画廊 ==========
+async function handleRenewGallery(request, env, galleryId) {
     try {
-        // 从 KV 获取所有画廊（使用 list）
-        const limit = parseInt(searchParams.get('limit')) || 50;
-        const { keys } = await env.KV.list({ 
-            prefix: 'gallery:', 
-            limit: Math.min(limit, 100) // 最多100个
-        });
+        const galleryData = await env.KV.get(`gallery:${galleryId}`, 'json');
+        if (!galleryData) {
+            return Response.json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: '画廊不存在或已过期'
+            }, { status: 404 });
+        }
 
-        // 并行读取所有画廊数据
-        const galleryPromises = keys.map(key => 
-            env.KV.get(key.name, 'json')
-        );
-        const galleries = await Promise.all(galleryPromises);
+        const role = await getGalleryRole(request, env, galleryData);
+        if (!role) {
+            return Response.json({
+                success: false,
+                error: 'UNAUTHORIZED',
+                message: '无权续期该画廊'
+            }, { status: 401 });
+        }
 
-        // 过滤掉空数据，按创建时间倒序排序
-        const validGalleries = galleries
-            .filter(g => g && g.id)
-            .sort((a, b) => (b.created || 0) - (a.created || 0));
+        // 新有效期从现在算起，参数与创建时相同（ttl_days / expires_at / permanent）
+        const data = await request.json().catch(() => ({}));
 
-        // 生成广场页面
-        const html = generatePlazaHTML(validGalleries);
+        // 永久画廊未指定新有效期时保持永久，不做任何修改
+        const hasExpiry = ['ttl_days', 'expires_at', 'permanent'].some(field => data[field] !== undefined);
+        if (!hasExpiry && getGalleryExpiresAt(galleryData) === null) {
+            return Response.json({
+                success: true,
+                id: galleryId,
+                ...getExpiryInfo(galleryData)
+            }, {
+                headers: {
+                    'Access-Control-Allow-Origin': '*'
+                }
+            });
+        }
 
-        return new Response(html, {
+        // permanent 需要管理员权限：管理员令牌，或所有者用 X-Manage-Token 传管理令牌、
+        // Authorization 中带 admin 标记的 API Key
+        const client = role === 'admin' ? { admin: true } : await authenticateClient(request, env);
+        const expiry = resolveGalleryExpiry(data, env, client);
+        if (expiry.error) {
+            return Response.json({
+                success: false,
+                error: expiry.code || 'INVALID_DATA',
+                message: expiry.error
+            }, { status: expiry.status || 400 });
+        }
+
+        const renewed = {
+            ...galleryData,
+            expires_at: expiry.expiresAt,
+            permanent: expiry.expiresAt === null,
+            renewed: Date.now()
+        };
+        await saveGallery(env, renewed, galleryData);
+
+        return Response.json({
+            success: true,
+            id: galleryId,
+            ...getExpiryInfo(renewed)
+        }, {
             headers: {
-                'Content-Type': 'text/html; charset=utf-8',
-                'Cache-Control': 'public, max-age=300' // 缓存5分钟
+                'Access-Control-Allow-Origin': '*'
             }
         });
 
     } catch (error) {
-        console.error('Plaza error:', error);
-        return new Response(
-            generatePlazaErrorHTML(error.message),
-            { 
-                status: 500,
-                headers: { 'Content-Type': 'text/html; charset=utf-8' }
-            }
-        );
+        console.error('Renew gallery error:', error);
+        return Response.json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: error.message
+        }, { status: 500 });
     }
 }
 
-// ========== 配额查询 ==========
-async function handleQuotaCheck(request, env) {
-    const auth = request.headers.get('Authorization');
-    const expectedAuth = env.ADMIN_TOKEN ? `Bearer ${env.ADMIN_TOKEN}` : null;
+// ========== 私密画廊分享链接 ==========
+// POST /api/gallery/:id/share  { "ttl_days": 7 }  生成带签名的分享链接
+async function handleCreateShareLink(request, env, galleryId, origin) {
+    const galleryData = await env.KV.get(`gallery:${galleryId}`, 'json');
+    if (!galleryData) {
+        return Response.json({
+            success: false,
+            error: 'NOT_FOUND',
+            message: '画廊不存在或已过期'
+        }, { status: 404 });
+    }
 
-    // 简单认证（可选）
-    if (expectedAuth && auth !== expectedAuth) {
-        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    if (!await getGalleryRole(request, env, galleryData)) {
+        return Response.json({
+            success: false,
+            error: 'UNAUTHORIZED',
+            message: '无权分享该画廊'
+        }, { status: 401 });
     }
 
-    const todayKey = `quota:${getDateKey()}`;
-    const todayCount = parseInt(await env.KV.get(todayKey) || '0');
+    const data = await request.json().catch(() => ({}));
+    const { max } = getTtlBounds(env);
+    const ttlDays = data.ttl_days === undefined ? Math.min(SHARE_LINK_TTL_DAYS, max) : Number(data.ttl_days);
+    if (!Number.isFinite(ttlDays) || ttlDays <= 0 || ttlDays > max) {
+        return Response.json({
+            success: false,
+            error: 'INVALID_DATA',
+            message: `ttl_days 必须在 0-${max} 之间`
+        }, { status: 400 });
+    }
 
-    const quota = {
-        date: getDateKey(),
-        used: todayCount,
-        limit: 1000,
-        remaining: Math.max(0, 1000 - todayCount),
-        percentage: ((todayCount / 1000) * 100).toFixed(1),
-        warning: todayCount >= 980 // 98%
-    };
+    // 旧画廊没有签名密钥时补上
+    if (!galleryData.share_secret) {
+        galleryData.share_secret = generateToken();
+        await putGalleryRecord(env, galleryData);
+    }
 
-    return Response.json(quota, {
+    const ttlSeconds = Math.round(ttlDays * 86400);
+    const token = await createShareToken(galleryData, ttlSeconds);
+    return Response.json({
+        success: true,
+        id: galleryId,
+        visibility: getGalleryVisibility(galleryData),
+        share_url: `${origin}/gallery/${encodeURIComponent(galleryId)}?share=${token}`,
+        expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    }, {
+        headers: {
+            'Access-Control-Allow-Origin': '*'
+        }
+    });
+}
+
+// DELETE /api/gallery/:id/share  更换签名密钥，使已发出的分享链接全部失效
+async function handleRevokeShareLinks(request, env, galleryId) {
+    const galleryData = await env.KV.get(`gallery:${galleryId}`, 'json');
+    if (!galleryData) {
+        return Response.json({
+            success: false,
+            error: 'NOT_FOUND',
+            message: '画廊不存在或已过期'
+        }, { status: 404 });
+    }
+
+    if (!await getGalleryRole(request, env, galleryData)) {
+        return Response.json({
+            success: false,
+            error: 'UNAUTHORIZED',
+            message: '无权管理该画廊的分享链接'
+        }, { status: 401 });
+    }
+
+    galleryData.share_secret = generateToken();
+    await putGalleryRecord(env, galleryData);
+    console.log(`🔗 Share links revoked for gallery ${galleryId}`);
+
+    return Response.json({
+        success: true,
+        id: galleryId,
+        message: '已撤销全部分享链接'
+    }, {
+        headers: {
+            'Access-Control-Allow-Origin': '*'
+        }
+    });
+}
+
+// ========== 即将过期的画廊 ==========
+// GET /api/expiring?within=3d&cursor=  供 mirrorbot 找出需要续期的画廊
+async function handleExpiringGalleries(request, env, url) {
+    const client = await authenticateClient(request, env);
+    if (!client) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const within = parseDuration(url.searchParams.get('within') || '3d');
+    if (within === null) {
+        return Response.json({
+            error: 'INVALID_DATA',
+            message: 'within 格式应为数字加单位，如 3d、12h、30m'
+        }, { status: 400 });
+    }
+    // 超过最长有效期等于列出全部画廊
+    const { max } = getTtlBounds(env);
+    if (within > max * 86400) {
+        return Response.json({
+            error: 'INVALID_DATA',
+            message: `within 不能超过 ${max} 天`
+        }, { status: 400 });
+    }
+
+    // KV.list 会返回每个键的过期时间，无需读取画廊数据
+    const deadline = Math.floor(Date.now() / 1000) + within;
+    const galleries = [];
+    let cursor = url.searchParams.get('cursor') || undefined;
+    let listComplete = false;
+
+    for (let scan = 0; scan < SEARCH_MAX_SCANS; scan++) {
+        const page = await env.KV.list({ prefix: 'gallery:', limit: 1000, cursor });
+        for (const key of page.keys) {
+            // 管理员列出全部画廊；API Key 只列出公开画廊和自己创建的画廊（信息保存在元数据中）
+            if (!client.admin && !isExpiringListable(key.metadata, client)) continue;
+            if (key.expiration && key.expiration <= deadline) {
+                const id = key.name.slice('gallery:'.length);
+                galleries.push({
+                    id,
+                    gallery_url: `${getPublicOrigin(env, url)}/gallery/${id}`,
+                    expires_at: new Date(key.expiration * 1000).toISOString(),
+                    expires_in_seconds: Math.max(0, key.expiration - Math.floor(Date.now() / 1000))
+                });
+            }
+        }
+
+        listComplete = page.list_complete;
+        cursor = page.cursor;
+        if (listComplete) break;
+    }
+
+    galleries.sort((a, b) => a.expires_in_seconds - b.expires_in_seconds);
+
+    return Response.json({
+        within_seconds: within,
+        galleries,
+        cursor: listComplete ? null : cursor,
+        has_more: !listComplete
+    }, {
         headers: { 'Access-Control-Allow-Origin': '*' }
     });
 }
 
-// ========== 辅助函数 ==========
-
-// 生成画廊 ID
-function generateGalleryId() {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 5);
-    return `${timestamp}${random}`;
+// 非管理员可在即将过期列表中看到的画廊：公开且无密码，或由该 API Key 创建
+function isExpiringListable(metadata, client) {
+    if (!metadata) return false;
+    if (client.apiKey && metadata.created_by === client.apiKey.id) return true;
+    return metadata.visibility === 'public' && !metadata.password;
+}
+
+// ========== 失效图片 ==========
+// GET /api/broken?cursor=  列出检查到失效图片的画廊（管理员）
+async function handleBrokenGalleries(request, env, url) {
+    if (!isAdminRequest(request, env)) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // 失效数量保存在画廊主键的元数据中，无需逐个读取画廊
+    const galleries = [];
+    let cursor = url.searchParams.get('cursor') || undefined;
+    let listComplete = false;
+
+    for (let scan = 0; scan < SEARCH_MAX_SCANS; scan++) {
+        const page = await env.KV.list({ prefix: 'gallery:', limit: 1000, cursor });
+        for (const key of page.keys) {
+            if (!key.metadata || !key.metadata.broken) continue;
+            const id = key.name.slice('gallery:'.length);
+            galleries.push({
+                id,
+                gallery_url: `${getPublicOrigin(env, url)}/gallery/${id}`,
+                title: key.metadata.title,
+                image_count: key.metadata.image_count,
+                broken: key.metadata.broken
+            });
+        }
+
+        listComplete = page.list_complete;
+        cursor = page.cursor;
+        if (listComplete) break;
+    }
+
+    return Response.json({
+        galleries,
+        cursor: listComplete ? null : cursor,
+        has_more: !listComplete
+    });
+}
+
+// 定时检查失效图片：按 KV.list 顺序轮流检查画廊，进度保存在 LINK_CHECK_CURSOR_KEY
+// 每张图片发一次 HEAD 请求，404 / 410 或请求失败视为失效；图片过多时随机抽查
+async function checkGalleryLinks(env) {
+    const cursor = await env.KV.get(LINK_CHECK_CURSOR_KEY);
+    const page = await env.KV.list({
+        prefix: 'gallery:',
+        limit: LINK_CHECK_GALLERIES,
+        cursor: cursor || undefined
+    });
+
+    // 请求数按剩余画廊平分，避免大画廊占满额度导致后面的画廊永远轮不到
+    let budget = LINK_CHECK_MAX_REQUESTS;
+    for (const [i, key] of page.keys.entries()) {
+        const galleryData = await env.KV.get(key.name, 'json');
+        if (!galleryData || !galleryData.images) continue;
+
+        const share = Math.max(1, Math.floor(budget / (page.keys.length - i)));
+        const indexes = sampleIndexes(galleryData.images.length, share);
+        budget -= indexes.length;
+
+        // 只更新本次有明确结果的图片，未抽到或请求出错的沿用上次结果
+        const previous = galleryData.link_check || { broken_indexes: [] };
+        const brokenSet = new Set(previous.broken_indexes);
+        for (let i = 0; i < indexes.length; i += 6) {
+            const batch = indexes.slice(i, i + 6);
+            const results = await Promise.all(batch.map(index => isImageBroken(galleryData.images[index])));
+            batch.forEach((index, j) => {
+                if (results[j] === true) brokenSet.add(index);
+                if (results[j] === false) brokenSet.delete(index);
+            });
+        }
+        const broken = [...brokenSet].sort((a, b) => a - b);
+
+        // 结果有变化时才写回（包含首次发现失效）
+        if (broken.join(',') === previous.broken_indexes.join(',')) continue;
+
+        // 检查期间画廊可能已被续期、编辑或删除：写回前重新读取，只合并 link_check
+        // 图片列表已变化时本次结果对应不上索引，直接丢弃
+        const latest = await env.KV.get(key.name, 'json');
+        if (!latest || !Array.isArray(latest.images) ||
+            latest.images.join('\n') !== galleryData.images.join('\n')) continue;
+
+        const updated = {
+            ...latest,
+            link_check: {
+                broken: broken.length,
+                checked: indexes.length,
+                broken_indexes: broken,
+                detected_at: Date.now()
+            }
+        };
+        await putGalleryRecord(env, updated);
+        console.log(`🔗 Gallery ${galleryData.id}: ${broken.length} images broken (${indexes.length} checked this run)`);
+    }
+
+    // 到末尾后从头开始下一轮
+    if (page.list_complete) {
+        if (cursor) await env.KV.delete(LINK_CHECK_CURSOR_KEY);
+    } else {
+        await env.KV.put(LINK_CHECK_CURSOR_KEY, page.cursor);
+    }
+}
+
+// 从 0..total-1 中取最多 limit 个索引（不足时全取，否则随机抽取）
+function sampleIndexes(total, limit) {
+    const indexes = Array.from({ length: total }, (_, i) => i);
+    if (total <= limit) return indexes;
+    for (let i = total - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+    }
+    return indexes.slice(0, limit).sort((a, b) => a - b);
+}
+
+// 图片是否已失效（不走缓存，5xx 等临时错误不算失效）
+// 网络、DNS、超时等请求异常无法判断，返回 null
+async function isImageBroken(imageUrl) {
+    try {
+        const response = await fetchUpstreamImage(imageUrl, 'HEAD', 0);
+        return response.status === 404 || response.status === 410;
+    } catch (error) {
+        console.warn(`Link check failed for ${imageUrl}:`, error.message);
+        return null;
+    }
+}
+
+// ========== 删除画廊 ==========
+async function handleDeleteGallery(request, env, galleryId, ctx) {
+    try {
+        const galleryData = await env.KV.get(`gallery:${galleryId}`, 'json');
+        if (!galleryData) {
+            return Response.json({
+                success: false,
+                error: 'NOT_FOUND',
+                message: '画廊不存在或已过期'
+            }, { status: 404 });
+        }
+
+        const role = await getGalleryRole(request, env, galleryData);
+        if (!role) {
+            return Response.json({
+                success: false,
+                error: 'UNAUTHORIZED',
+                message: '无权删除该画廊'
+            }, { status: 401 });
+        }
+
+        await deleteGallery(env, galleryData);
+        console.log(`🗑️ Gallery ${galleryId} deleted by ${role}`);
+
+        sendWebhook(env, ctx, 'gallery.deleted', {
+            id: galleryId,
+            title: galleryData.title,
+            author: galleryData.author,
+            deleted_by: role
+        });
+
+        return Response.json({
+            success: true,
+            id: galleryId,
+            deleted: true
+        }, {
+            headers: {
+                'Access-Control-Allow-Origin': '*'
+            }
+        });
+
+    } catch (error) {
+        console.error('Delete gallery error:', error);
+        return Response.json({
+            success: false,
+            error: 'SERVER_ERROR',
+            message: error.message
+        }, { status: 500 });
+    }
+}
+
+// 应用编辑操作，返回 { gallery } 或 { error, errors? }
+// - images: 整体替换图片列表
+// - order:  现有图片索引的完整排列（重排）
+// - remove: 要删除的图片（现有索引或 URL）
+// - append: 追加到末尾的图片 URL
+// order/remove 中的索引均指编辑前的位置
+function applyGalleryChanges(galleryData, changes, env) {
+    const updated = { ...galleryData };
+
+    if (changes.title !== undefined) {
+        if (typeof changes.title !== 'string') return { error: 'title 必须是字符串' };
+        updated.title = changes.title || '图集';
+    }
+
+    if (changes.author !== undefined) {
+        if (typeof changes.author !== 'string') return { error: 'author 必须是字符串' };
+        updated.author = changes.author || '未知';
+    }
+
+    if (changes.theme_colors !== undefined) {
+        const themeResult = validateThemeColors(changes.theme_colors);
+        if (themeResult.error) return { error: themeResult.error };
+        updated.theme_colors = themeResult.themeColors;
+    }
+
+    if (changes.tags !== undefined) {
+        const tagResult = validateTags(changes.tags);
+        if (tagResult.error) return { error: tagResult.error };
+        updated.tags = tagResult.tags;
+    }
+
+    // hidden 为旧字段：true / false 分别等同于 unlisted / public
+    if (changes.hidden !== undefined) {
+        if (changes.visibility !== undefined) return { error: 'hidden 与 visibility 只能二选一' };
+        if (typeof changes.hidden !== 'boolean') return { error: 'hidden 必须是布尔值' };
+        changes = { ...changes, visibility: changes.hidden ? 'unlisted' : 'public' };
+    }
+
+    if (changes.visibility !== undefined) {
+        if (!GALLERY_VISIBILITIES.includes(changes.visibility)) {
+            return { error: `visibility 只能是 ${GALLERY_VISIBILITIES.join(' / ')}` };
+        }
+        // 可见性变化时更换签名密钥，之前发出的分享链接随之失效
+        if (changes.visibility !== getGalleryVisibility(galleryData) || !updated.share_secret) {
+            updated.share_secret = generateToken();
+        }
+        updated.visibility = changes.visibility;
+        delete updated.hidden;
+    }
+
+    // 带上原始索引，保证 order/remove 都以编辑前的位置为准
+    let entries = (galleryData.images || []).map((url, index) => ({ url, index }));
+
+    if (changes.images !== undefined) {
+        if (changes.order !== undefined || changes.remove !== undefined) {
+            return { error: 'images 不能与 order/remove 同时使用' };
+        }
+        if (!Array.isArray(changes.images)) return { error: 'images 必须是数组' };
+        const imageResult = validateImageUrls(changes.images, env);
+        if (imageResult.errors.length > 0) {
+            return { error: `images 中有 ${imageResult.errors.length} 个图片地址无效`, errors: imageResult.errors };
+        }
+        entries = imageResult.images.map(url => ({ url, index: -1 }));
+    }
+
+    if (changes.order !== undefined) {
+        const order = changes.order;
+        const isPermutation = Array.isArray(order) &&
+            order.length === entries.length &&
+            new Set(order).size === order.length &&
+            order.every(i => Number.isInteger(i) && i >= 0 && i < entries.length);
+        if (!isPermutation) return { error: 'order 必须是现有图片索引的完整排列' };
+        entries = order.map(i => entries.find(entry => entry.index === i));
+    }
+
+    if (changes.remove !== undefined) {
+        if (!Array.isArray(changes.remove)) return { error: 'remove 必须是数组' };
+        const removeIndexes = new Set(changes.remove.filter(Number.isInteger));
+        const removeUrls = new Set(changes.remove.filter(item => typeof item === 'string'));
+        entries = entries.filter(entry =>
+            !removeIndexes.has(entry.index) && !removeUrls.has(entry.url)
+        );
+    }
+
+    if (changes.append !== undefined) {
+        if (!Array.isArray(changes.append)) return { error: 'append 必须是数组' };
+        const imageResult = validateImageUrls(changes.append, env);
+        if (imageResult.errors.length > 0) {
+            return { error: `append 中有 ${imageResult.errors.length} 个图片地址无效`, errors: imageResult.errors };
+        }
+        entries = entries.concat(imageResult.images.map(url => ({ url, index: -1 })));
+    }
+
+    if (entries.length === 0) {
+        return { error: '图片列表不能为空' };
+    }
+
+    const maxImages = getMaxImages(env);
+    if (entries.length > maxImages) {
+        return { error: `图片数量超过上限（最多 ${maxImages} 张）` };
+    }
+
+    updated.images = entries.map(entry => entry.url);
+    updated.image_count = updated.images.length;
+    updated.updated = Date.now();
+
+    // 图片有变动时，之前的失效检查结果不再适用
+    if (updated.images.join('\n') !== (galleryData.images || []).join('\n')) {
+        delete updated.link_check;
+    }
+
+    return { gallery: updated };
+}
+
+// ========== 查看画廊页面 ==========
+async function handleViewGallery(request, env, origin) {
+    const id = new URL(request.url).pathname.split('/')[2];
+
+    if (!id) {
+        return new Response('Invalid gallery ID', { status: 400 });
+    }
+
+    // 从 KV 读取画廊数据（无权访问的私密画廊同样显示不存在）
+    const galleryData = await env.KV.get(`gallery:${id}`, 'json');
+
+    if (!galleryData || !await hasVisibilityAccess(request, env, galleryData)) {
+        return new Response(
+            generateNotFoundHTML(),
+            { headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+        );
+    }
+
+    // 设置了密码且尚未输入：显示密码输入页
+    if (!await isGalleryUnlocked(request, env, galleryData)) {
+        return htmlResponse(generatePasswordHTML(galleryData, new URL(request.url).searchParams.get('share')));
+    }
+
+    // 私密画廊：页面内的代理图片、下载和分享链接附带签名
+    // 凭分享链接访问时原样沿用该签名（不延长有效期），管理员 / 所有者访问时生成短期签名
+    const access = isPrivateGallery(galleryData) ? `share=${await getPageShareToken(request, env, galleryData)}` : '';
+
+    // 生成画廊 HTML
+    const html = generateGalleryHTML(galleryData, getProxyHosts(env), origin, access);
+
+    return new Response(html, {
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': isRestrictedGallery(galleryData) ? 'private, no-store' : 'public, max-age=3600'
+        }
+    });
+}
+
+// ========== 画廊密码 ==========
+// POST /gallery/:id/unlock（表单字段 password），按 IP 限制错误次数
+async function handleUnlockGallery(request, env, galleryId) {
+    const galleryData = await env.KV.get(`gallery:${galleryId}`, 'json');
+    if (!galleryData || !await hasVisibilityAccess(request, env, galleryData)) {
+        return htmlResponse(generateNotFoundHTML(), 404);
+    }
+
+    const share = new URL(request.url).searchParams.get('share');
+    const galleryPath = `/gallery/${encodeURIComponent(galleryId)}${share ? `?share=${encodeURIComponent(share)}` : ''}`;
+    if (!hasGalleryPassword(galleryData)) {
+        return new Response(null, { status: 303, headers: { 'Location': galleryPath } });
+    }
+
+    // 该 IP 的错误次数已达上限时直接拒绝
+    const attempts = getPasswordAttemptRule(request, env);
+    const entry = attempts ? await updateAttemptCounter(env, attempts.name, 'get', attempts.window) : null;
+    if (entry && entry.count >= attempts.limit) {
+        const retryAfter = Math.max(1, Math.ceil((entry.reset - Date.now()) / 1000));
+        return htmlResponse(generatePasswordHTML(galleryData, share, `尝试次数过多，请 ${retryAfter} 秒后再试`), 429);
+    }
+
+    const form = await request.formData().catch(() => null);
+    const password = form ? String(form.get('password') || '') : '';
+    if (!timingSafeEqual(await hashPassword(password, galleryData.password_salt), galleryData.password_hash)) {
+        if (attempts) await updateAttemptCounter(env, attempts.name, 'hit', attempts.window);
+        return htmlResponse(generatePasswordHTML(galleryData, share, '密码错误'), 401);
+    }
+
+    // 输入正确后清零该 IP 的错误次数
+    if (entry && entry.count > 0) {
+        await updateAttemptCounter(env, attempts.name, 'clear', attempts.window);
+    }
+
+    const headers = new Headers({ 'Location': galleryPath });
+    for (const cookie of await createUnlockCookies(galleryData)) {
+        headers.append('Set-Cookie', cookie);
+    }
+    return new Response(null, { status: 303, headers });
+}
+
+// 密码错误次数的计数规则（RATE_LIMITS 中的 password 分组），不限制时返回 null
+// 白名单 IP 不计数
+function getPasswordAttemptRule(request, env) {
+    const rule = getRateLimitRules(env).password;
+    const ip = request.headers.get('CF-Connecting-IP');
+    if (!rule || !ip || parseList(env.RATE_LIMIT_ALLOWLIST).includes(ip.toLowerCase())) return null;
+    return { name: `attempts:password:${ip}`, limit: rule.limit, window: rule.window };
+}
+
+// 跨实例共享的固定窗口计数（密码错误次数、create / download 限流）
+// 读取（get）、累加（hit）或清零（clear），返回 { count, reset }
+// 保存在 QUOTA_COUNTER 中；未绑定时退回带过期时间的 KV
+async function updateAttemptCounter(env, name, action, window) {
+    if (env.QUOTA_COUNTER) {
+        const res = await getQuotaCounter(env).fetch('https://quota/attempts', {
+            method: 'POST',
+            body: JSON.stringify({ name, action, window })
+        });
+        return res.json();
+    }
+
+    const now = Date.now();
+    let entry = await env.KV.get(name, 'json');
+    if (!entry || entry.reset <= now) entry = { count: 0, reset: now + window * 1000 };
+    if (action === 'hit') {
+        entry.count++;
+        // KV 要求过期时间至少在 60 秒之后
+        await env.KV.put(name, JSON.stringify(entry), {
+            expiration: Math.max(Math.ceil(entry.reset / 1000), Math.ceil(now / 1000) + 60)
+        });
+    } else if (action === 'clear') {
+        await env.KV.delete(name);
+        entry = { count: 0, reset: now };
+    }
+    return entry;
+}
+
+// 等长字符串的常量时间比较（避免按耗时猜测哈希）
+function timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+// 校验画廊密码格式，返回错误信息或 null
+function validatePassword(password) {
+    if (typeof password !== 'string') return 'password 必须是字符串';
+    if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        return `password 长度必须在 ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} 之间`;
+    }
+    return null;
+}
+
+// 设置或取消画廊密码（每次设置都换新盐，旧的访问 Cookie 随之失效）
+async function setGalleryPassword(galleryData, password) {
+    if (!password) {
+        delete galleryData.password_salt;
+        delete galleryData.password_hash;
+        return;
+    }
+    galleryData.password_salt = generateToken(16);
+    galleryData.password_hash = await hashPassword(password, galleryData.password_salt);
+}
+
+// PBKDF2-SHA256 加盐哈希（十六进制）
+async function hashPassword(password, salt) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations: PASSWORD_HASH_ITERATIONS },
+        key,
+        256
+    );
+    return Array.from(new Uint8Array(bits), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// 访问 Cookie：{过期时间}.{HMAC}，以密码哈希为密钥
+// 只对该画廊的页面（含下载、封面）和图片代理路径生效
+async function createUnlockCookies(galleryData) {
+    const expires = Date.now() + UNLOCK_SESSION_TTL * 1000;
+    const signature = await hmacHex(galleryData.password_hash, `unlock:${galleryData.id}:${expires}`);
+    const id = encodeURIComponent(galleryData.id);
+    return [`/gallery/${id}`, `/img/${id}`].map(path =>
+        `${UNLOCK_COOKIE_NAME}=${expires}.${signature}; Path=${path}; HttpOnly; Secure; SameSite=Lax; Max-Age=${UNLOCK_SESSION_TTL}`);
+}
+
+async function verifyUnlockCookie(request, galleryData) {
+    const value = getCookie(request, UNLOCK_COOKIE_NAME);
+    const match = value && value.match(/^(\d+)\.([0-9a-f]{64})$/);
+    if (!match || parseInt(match[1]) < Date.now()) return false;
+    return timingSafeEqual(await hmacHex(galleryData.password_hash, `unlock:${galleryData.id}:${match[1]}`), match[2]);
+}
+
+// ========== 画廊封面图 ==========
+// 按 getSmartLayout 的布局把前几张图拼成 1200x630 的 SVG
+// 图片以 data URI 内嵌（SVG 作为图片显示时不会加载外部资源）
+async function handleGalleryCover(request, env, ctx, galleryId) {
+    const galleryData = await env.KV.get(`gallery:${galleryId}`, 'json');
+    if (!galleryData || !(galleryData.images || []).length || !await canViewGallery(request, env, galleryData)) {
+        return new Response('Gallery not found', { status: 404 });
+    }
+
+    // 缓存键包含图片列表和标题的哈希，画廊编辑后旧缓存自然失效
+    const version = simpleHash(`${galleryData.title}|${galleryData.images.join('|')}`).toString(36);
+    const cache = caches.default;
+    const cacheKey = new Request(`${new URL(request.url).origin}/gallery/${encodeURIComponent(galleryId)}/cover.svg?v=${version}`);
+    const cached = isRestrictedGallery(galleryData) ? null : await cache.match(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const { layout, imageCount } = getSmartLayout(galleryData.images.length, galleryData.id);
+    const images = await Promise.all(
+        galleryData.images.slice(0, imageCount).map(fetchImageDataUri)
+    );
+
+    if (isRestrictedGallery(galleryData)) {
+        return new Response(generateCoverSVG(galleryData, images, layout), {
+            headers: {
+                'Content-Type': 'image/svg+xml; charset=utf-8',
+                'Cache-Control': 'private, no-store'
+            }
+        });
+    }
+
+    const response = new Response(generateCoverSVG(galleryData, images, layout), {
+        headers: {
+            'Content-Type': 'image/svg+xml; charset=utf-8',
+            'Cache-Control': `public, max-age=${COVER_CACHE_TTL}`,
+            'Access-Control-Allow-Origin': '*'
+        }
+    });
+    ctx.waitUntil(cache.put(cacheKey, response.clone()));
+    return response;
+}
+
+// 下载图片并转为 data URI，失败或过大时返回 null
+async function fetchImageDataUri(imageUrl) {
+    try {
+        const upstream = await fetchUpstreamImage(imageUrl);
+        const contentType = upstream.headers.get('Content-Type') || '';
+        const contentLength = parseInt(upstream.headers.get('Content-Length') || '0');
+        if (!upstream.ok || !contentType.startsWith('image/') || contentLength > COVER_MAX_IMAGE_BYTES) {
+            return null;
+        }
+
+        const bytes = new Uint8Array(await upstream.arrayBuffer());
+        if (bytes.length > COVER_MAX_IMAGE_BYTES) return null;
+
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return `data:${contentType.split(';')[0]};base64,${btoa(binary)}`;
+    } catch (error) {
+        console.error('Cover image fetch error:', error);
+        return null;
+    }
+}
+
+// 各布局中图片所在的格子（与广场卡片 generateCoverHTML 的网格一致）
+function getCoverCells(layout, width, height, gap) {
+    const half = (width - gap) / 2;
+    switch (layout) {
+        case 'split':
+            return [
+                { x: 0, y: 0, w: half, h: height },
+                { x: half + gap, y: 0, w: half, h: height }
+            ];
+        case 'featured': {
+            // 上方大图，下方两张小图（行高 2:1）
+            const top = (height - gap) * 2 / 3;
+            return [
+                { x: 0, y: 0, w: width, h: top },
+                { x: 0, y: top + gap, w: half, h: height - top - gap },
+                { x: half + gap, y: top + gap, w: half, h: height - top - gap }
+            ];
+        }
+        case 'grid': {
+            const halfHeight = (height - gap) / 2;
+            return [
+                { x: 0, y: 0, w: half, h: halfHeight },
+                { x: half + gap, y: 0, w: half, h: halfHeight },
+                { x: 0, y: halfHeight + gap, w: half, h: halfHeight },
+                { x: half + gap, y: halfHeight + gap, w: half, h: halfHeight }
+            ];
+        }
+        case 'triple': {
+            const third = (width - gap * 2) / 3;
+            return [0, 1, 2].map(i => ({ x: i * (third + gap), y: 0, w: third, h: height }));
+        }
+        default:
+            // single / hero：单张铺满
+            return [{ x: 0, y: 0, w: width, h: height }];
+    }
+}
+
+// ========== 图片代理 ==========
+async function handleImageProxy(request, env, ctx, galleryId, index) {
+    // 先读取画廊并校验访问权限，再查缓存：画廊删除、改为私密或设置密码后，已缓存的图片不再对外提供
+    const galleryData = await env.KV.get(`gallery:${galleryId}`, 'json');
+    const imageUrl = galleryData && (galleryData.images || [])[index];
+    if (!imageUrl || !await canViewGallery(request, env, galleryData)) {
+        return new Response('Image not found', { status: 404 });
+    }
+
+    // ?h= 必须与当前原图 URL 的哈希一致：图片被删除或替换后，旧地址不再返回旧图
+    // 缓存键由服务端计算的哈希生成，私密或设置了密码的画廊不读写缓存
+    const url = new URL(request.url);
+    const hash = simpleHash(imageUrl).toString(36);
+    if (url.searchParams.get('h') !== hash) {
+        return new Response('Image not found', { status: 404 });
+    }
+    const cache = caches.default;
+    const cacheKey = new Request(`${url.origin}${url.pathname}/${hash}`, { method: 'GET' });
+    const cacheable = !isRestrictedGallery(galleryData);
+    const cached = cacheable ? await cache.match(cacheKey) : null;
+    if (cached) {
+        return cached;
+    }
+
+    // 未开启代理的图床直接跳转原图，避免成为开放代理
+    if (!isProxiedImage(imageUrl, getProxyHosts(env))) {
+        return Response.redirect(imageUrl, 302);
+    }
+
+    let upstream;
+    try {
+        upstream = await fetchUpstreamImage(imageUrl);
+    } catch (error) {
+        console.error('Image proxy fetch error:', error);
+        return new Response('Upstream fetch failed', { status: 502 });
+    }
+
+    if (!upstream.ok) {
+        return new Response(`Upstream error: ${upstream.status}`, { status: upstream.status === 404 ? 404 : 502 });
+    }
+
+    // 只转发位图：HTML、SVG 等可执行脚本的内容会在本站域名下运行（与 /admin 同源）
+    const contentType = (upstream.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!contentType.startsWith('image/') || contentType === 'image/svg+xml') {
+        upstream.body && upstream.body.cancel();
+        return new Response(`Upstream is not an image: ${contentType || 'unknown'}`, { status: 502 });
+    }
+
+    // 直接转发响应流，不在内存中缓冲整张图片
+    const response = new Response(upstream.body, {
+        headers: {
+            'Content-Type': contentType,
+            'Cache-Control': `public, max-age=${IMAGE_CACHE_TTL}`,
+            'Access-Control-Allow-Origin': '*',
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Security-Policy': "default-src 'none'; sandbox"
+        }
+    });
+    const contentLength = upstream.headers.get('Content-Length');
+    if (contentLength) {
+        response.headers.set('Content-Length', contentLength);
+    }
+
+    if (cacheable) {
+        ctx.waitUntil(cache.put(cacheKey, response.clone()));
+    } else {
+        response.headers.set('Cache-Control', 'private, no-store');
+        response.headers.delete('Access-Control-Allow-Origin');
+    }
+    return response;
+}
+
+// ========== 打包下载 ==========
+async function handleDownloadZip(request, env, ctx, galleryId) {
+    const galleryData = await env.KV.get(`gallery:${galleryId}`, 'json');
+    if (!galleryData || !await canViewGallery(request, env, galleryData)) {
+        return new Response(
+            generateNotFoundHTML(),
+            { status: 404, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+        );
+    }
+
+    // 超出子请求额度的画廊直接拒绝，不输出缺图的压缩包
+    const maxImages = parseInt(env.ZIP_MAX_IMAGES) || ZIP_MAX_IMAGES;
+    if ((galleryData.images || []).length > maxImages) {
+        return Response.json({
+            success: false,
+            error: 'TOO_MANY_IMAGES',
+            message: `画廊图片超过 ${maxImages} 张，无法打包下载，请在画廊页单张下载`
+        }, { status: 413 });
+    }
+
+    // 边拉取原图边写出 ZIP，不在内存中缓冲整个压缩包
+    const { readable, writable } = new TransformStream();
+    ctx.waitUntil(writeGalleryZip(writable, galleryData.images || []));
+
+    const filename = `${galleryData.title || galleryData.id}.zip`;
+    return new Response(readable, {
+        headers: {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${String(galleryData.id).replace(/[^\w.-]/g, '_')}.zip"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+            'Cache-Control': 'no-store'
+        }
+    });
+}
+
+// 逐张写入 ZIP（仅存储不压缩；大小和 CRC 写在数据描述符中，无需预先知道）
+async function writeGalleryZip(writable, images) {
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    const entries = [];
+    const missing = [];
+    let offset = 0;
+
+    const write = async (bytes) => {
+        await writer.write(bytes);
+        offset += bytes.length;
+    };
+
+    try {
+        for (let index = 0; index < images.length; index++) {
+            let upstream;
+            try {
+                upstream = await fetchUpstreamImage(images[index]);
+            } catch (error) {
+                console.error(`ZIP fetch error (image ${index + 1}):`, error);
+                missing.push(`image-${index + 1}: ${images[index]} (${error.message})`);
+                continue;
+            }
+            if (!upstream.ok || !upstream.body) {
+                console.error(`ZIP fetch failed (image ${index + 1}): ${upstream.status}`);
+                missing.push(`image-${index + 1}: ${images[index]} (HTTP ${upstream.status})`);
+                continue;
+            }
+
+            // 文件名与单张下载一致：image-1.jpg、image-2.png ...
+            const extension = getImageExtension(images[index], upstream.headers.get('Content-Type'));
+            const entry = {
+                name: encoder.encode(`image-${index + 1}.${extension}`),
+                offset,
+                crc: 0xFFFFFFFF,
+                size: 0
+            };
+
+            await write(buildZipLocalHeader(entry));
+
+            const reader = upstream.body.getReader();
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                entry.crc = updateCrc32(entry.crc, value);
+                entry.size += value.length;
+                await write(value);
+            }
+            entry.crc = (entry.crc ^ 0xFFFFFFFF) >>> 0;
+
+            await write(buildZipDataDescriptor(entry));
+            entries.push(entry);
+        }
+
+        // 拉取失败的图片列在 missing.txt 中，压缩包不完整时用户可以看到
+        if (missing.length > 0) {
+            const content = encoder.encode(`以下图片下载失败：\n${missing.join('\n')}\n`);
+            const entry = { name: encoder.encode('missing.txt'), offset, crc: updateCrc32(0xFFFFFFFF, content), size: content.length };
+            entry.crc = (entry.crc ^ 0xFFFFFFFF) >>> 0;
+            await write(buildZipLocalHeader(entry));
+            await write(content);
+            await write(buildZipDataDescriptor(entry));
+            entries.push(entry);
+        }
+
+        // 中央目录 + 目录结束记录
+        const centralOffset = offset;
+        for (const entry of entries) {
+            await write(buildZipCentralHeader(entry));
+        }
+        await write(buildZipEndRecord(entries.length, offset - centralOffset, centralOffset));
+
+        await writer.close();
+    } catch (error) {
+        console.error('ZIP stream error:', error);
+        await writer.abort(error);
+    }
+}
+
+// ZIP 本地文件头（通用标志：bit3 数据描述符，bit11 UTF-8 文件名）
+function buildZipLocalHeader(entry) {
+    const header = new Uint8Array(30 + entry.name.length);
+    const view = new DataView(header.buffer);
+    const { time, date } = getDosDateTime(new Date());
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true);       // 解压所需版本
+    view.setUint16(6, 0x0808, true);   // 通用标志
+    view.setUint16(8, 0, true);        // 存储（不压缩）
+    view.setUint16(10, time, true);
+    view.setUint16(12, date, true);
+    // CRC 与大小置 0，写在数据描述符中
+    view.setUint16(26, entry.name.length, true);
+    view.setUint16(28, 0, true);
+    header.set(entry.name, 30);
+    entry.time = time;
+    entry.date = date;
+    return header;
+}
+
+// ZIP 数据描述符
+function buildZipDataDescriptor(entry) {
+    const descriptor = new Uint8Array(16);
+    const view = new DataView(descriptor.buffer);
+    view.setUint32(0, 0x08074b50, true);
+    view.setUint32(4, entry.crc, true);
+    view.setUint32(8, entry.size, true);
+    view.setUint32(12, entry.size, true);
+    return descriptor;
+}
+
+// ZIP 中央目录项
+function buildZipCentralHeader(entry) {
+    const header = new Uint8Array(46 + entry.name.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x02014b50, true);
+    view.setUint16(4, 20, true);       // 创建版本
+    view.setUint16(6, 20, true);       // 解压所需版本
+    view.setUint16(8, 0x0808, true);
+    view.setUint16(10, 0, true);
+    view.setUint16(12, entry.time, true);
+    view.setUint16(14, entry.date, true);
+    view.setUint32(16, entry.crc, true);
+    view.setUint32(20, entry.size, true);
+    view.setUint32(24, entry.size, true);
+    view.setUint16(28, entry.name.length, true);
+    view.setUint32(42, entry.offset, true);
+    header.set(entry.name, 46);
+    return header;
+}
+
+// ZIP 目录结束记录
+function buildZipEndRecord(count, centralSize, centralOffset) {
+    const record = new Uint8Array(22);
+    const view = new DataView(record.buffer);
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, count, true);
+    view.setUint16(10, count, true);
+    view.setUint32(12, centralSize, true);
+    view.setUint32(16, centralOffset, true);
+    return record;
+}
+
+// DOS 格式的日期时间
+function getDosDateTime(now) {
+    return {
+        time: (now.getUTCHours() << 11) | (now.getUTCMinutes() << 5) | Math.floor(now.getUTCSeconds() / 2),
+        date: ((now.getUTCFullYear() - 1980) << 9) | ((now.getUTCMonth() + 1) << 5) | now.getUTCDate()
+    };
+}
+
+// 增量计算 CRC32（初始值 0xFFFFFFFF，结束时取反）
+function updateCrc32(crc, bytes) {
+    if (!CRC32_TABLE) {
+        CRC32_TABLE = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            CRC32_TABLE[n] = c >>> 0;
+        }
+    }
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return crc >>> 0;
+}
+
+// 图片扩展名：优先取 Content-Type，其次取 URL，默认 jpg
+function getImageExtension(imageUrl, contentType) {
+    const types = {
+        'image/jpeg': 'jpg',
+        'image/png': 'png',
+        'image/gif': 'gif',
+        'image/webp': 'webp',
+        'image/avif': 'avif',
+        'image/bmp': 'bmp',
+        'image/svg+xml': 'svg'
+    };
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (types[type]) return types[type];
+
+    const match = imageUrl.toLowerCase().match(/\.(jpe?g|png|gif|webp|avif|bmp)(?:$|[?#])/) ||
+        imageUrl.toLowerCase().match(/wx_fmt=(jpe?g|png|gif|webp)/);
+    if (match) return match[1] === 'jpeg' ? 'jpg' : match[1];
+    if (isGifUrl(imageUrl)) return 'gif';
+    return 'jpg';
+}
+
+// 请求原图（按图床设置 Referer，绕过防盗链）
+async function fetchUpstreamImage(imageUrl, method = 'GET', cacheTtl = IMAGE_CACHE_TTL) {
+    const { hostname } = new URL(imageUrl);
+    const headers = {
+        'User-Agent': 'Mozilla/5.0 (compatible; ImageGalleryWorker/1.0)',
+        'Accept': 'image/*,*/*;q=0.8'
+    };
+    const refererHost = Object.keys(UPSTREAM_REFERERS).find(host => matchesHost(hostname, host));
+    if (refererHost) {
+        headers['Referer'] = UPSTREAM_REFERERS[refererHost];
+    }
+
+    return fetch(imageUrl, {
+        method,
+        headers,
+        cf: cacheTtl > 0 ? { cacheTtl, cacheEverything: true } : { cacheTtl: 0 }
+    });
+}
+
+// ========== 画廊广场 ==========
+async function handleGalleryPlaza(env, searchParams) {
+    try {
+        searchParams = normalizePlazaParams(searchParams);
+        const page = await loadPlazaPage(env, searchParams);
+
+        // 生成广场页面
+        const query = (searchParams.get('q') || '').trim();
+        const tag = searchParams.get('tag') || '';
+        const params = {};
+        if (query) params.q = query;
+        if (tag) params.tag = tag;
+
+        const html = generatePlazaHTML(page.galleries, {
+            cursor: page.cursor,
+            hasMore: page.hasMore,
+            query,
+            tag,
+            params,
+            proxyHosts: getProxyHosts(env)
+        });
+
+        return new Response(html, {
+            headers: {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Cache-Control': 'public, max-age=300' // 缓存5分钟
+            }
+        });
+
+    } catch (error) {
+        console.error('Plaza error:', error);
+        return new Response(
+            generatePlazaErrorHTML(error.message),
+            { 
+                status: 500,
+                headers: { 'Content-Type': 'text/html; charset=utf-8' }
+            }
+        );
+    }
+}
+
+// ========== 作者页 / 标签页 ==========
+// filter 为 'author' 或 'tag'，对应 /author/:name 与 /tag/:tag
+async function handleFilterPage(path, env, searchParams, filter) {
+    let value;
+    try {
+        value = decodeURIComponent(path.slice(`/${filter}/`.length));
+    } catch (e) {
+        return new Response(`Invalid ${filter}`, { status: 400 });
+    }
+    if (filter === 'tag') {
+        value = normalizeTag(value);
+    }
+    if (!value) {
+        return new Response(`Invalid ${filter}`, { status: 400 });
+    }
+
+    try {
+        const params = new URLSearchParams(searchParams);
+        params.set(filter, value);
+        const page = await loadPlazaPage(env, params);
+
+        const html = generatePlazaHTML(page.galleries, {
+            cursor: page.cursor,
+            hasMore: page.hasMore,
+            [filter]: value,
+            params: { [filter]: value },
+            proxyHosts: getProxyHosts(env)
+        });
+
+        return new Response(html, {
+            headers: {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Cache-Control': 'public, max-age=300'
+            }
+        });
+
+    } catch (error) {
+        console.error(`${filter} page error:`, error);
+        return new Response(
+            generatePlazaErrorHTML(error.message),
+            { 
+                status: 500,
+                headers: { 'Content-Type': 'text/html; charset=utf-8' }
+            }
+        );
+    }
+}
+
+// ========== 广场分页 API ==========
+async function handlePlazaPage(env, searchParams) {
+    try {
+        const page = await loadPlazaPage(env, searchParams);
+
+        return Response.json({
+            galleries: page.galleries.map(g => ({
+                id: g.id,
+                title: g.title,
+                author: g.author,
+                image_count: g.image_count,
+                created: g.created
+            })),
+            html: page.galleries.map(gallery => generateGalleryCard(gallery, getProxyHosts(env))).join(''),
+            cursor: page.cursor,
+            has_more: page.hasMore
+        }, {
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Cache-Control': 'public, max-age=300'
+            }
+        });
+    } catch (error) {
+        console.error('Plaza page error:', error);
+        return Response.json({
+            error: error.message
+        }, { status: 500 });
+    }
+}
+
+// 规范化广场筛选参数：搜索词为 #标签 时改为按标签筛选
+function normalizePlazaParams(searchParams) {
+    searchParams = new URLSearchParams(searchParams);
+    const rawQuery = (searchParams.get('q') || '').trim();
+    if (rawQuery.startsWith('#') && normalizeTag(rawQuery)) {
+        searchParams.set('tag', normalizeTag(rawQuery));
+        searchParams.delete('q');
+    } else if (searchParams.get('tag')) {
+        searchParams.set('tag', normalizeTag(searchParams.get('tag')));
+    }
+    return searchParams;
+}
+
+// 读取一页广场画廊（?cursor= 续读下一页，?q= 时改为搜索）
+// 直接列出按时间倒序排列的广场索引，卡片数据取自索引元数据，无需逐个读取画廊
+async function loadPlazaPage(env, searchParams) {
+    if ((searchParams.get('q') || '').trim()) {
+        return await searchPlaza(env, searchParams);
+    }
+
+    const limit = parseInt(searchParams.get('limit')) || 50;
+    const { keys, list_complete, cursor } = await env.KV.list({ 
+        prefix: getIndexPrefix(searchParams), 
+        limit: Math.min(limit, 100), // 每页最多100个
+        cursor: searchParams.get('cursor') || undefined
+    });
+
+    return {
+        galleries: keys.map(key => key.metadata).filter(g => g && g.id),
+        cursor: list_complete ? null : cursor,
+        hasMore: !list_complete
+    };
+}
+
+// ========== 订阅源 ==========
+// /feed.xml（Atom）与 /rss.xml（RSS 2.0），数据与广场相同，?author= / ?tag= 为作者、标签订阅
+async function handleFeed(env, url, format) {
+    const author = (url.searchParams.get('author') || '').trim();
+    const tag = normalizeTag(url.searchParams.get('tag'));
+    const params = new URLSearchParams({ limit: String(FEED_SIZE) });
+    if (author) params.set('author', author);
+    else if (tag) params.set('tag', tag);
+
+    const page = await loadPlazaPage(env, params);
+    const origin = getPublicOrigin(env, url);
+    const feed = {
+        title: author ? `${author} 的画廊` : tag ? `#${tag} - 画廊广场` : '画廊广场',
+        htmlUrl: author ? `${origin}/author/${encodeURIComponent(author)}` :
+                 tag ? `${origin}/tag/${encodeURIComponent(tag)}` :
+                 `${origin}/plaza`,
+        selfUrl: `${origin}${url.pathname}${author ? `?author=${encodeURIComponent(author)}` : tag ? `?tag=${encodeURIComponent(tag)}` : ''}`,
+        origin,
+        proxyHosts: getProxyHosts(env)
+    };
+
+    const xml = format === 'atom' ? generateAtomFeed(page.galleries, feed) : generateRssFeed(page.galleries, feed);
+    return new Response(xml, {
+        headers: {
+            'Content-Type': format === 'atom' ? 'application/atom+xml; charset=utf-8' : 'application/rss+xml; charset=utf-8',
+            'Cache-Control': 'public, max-age=300'
+        }
+    });
+}
+
+// 订阅条目的 HTML 摘要：作者、图片数、标签和封面缩略图
+function generateFeedSummary(gallery, feed) {
+    const covers = (gallery.covers || []).map((img, index) => {
+        const src = getImageSrc(gallery.id, index, img, feed.proxyHosts);
+        return `<img src="${escapeHtml(src.startsWith('/') ? `${feed.origin}${src}` : src)}" alt="" width="200" style="max-width: 200px; margin: 2px;">`;
+    });
+    const tags = (gallery.tags || []).map(tag => `#${escapeHtml(tag)}`).join(' ');
+    return `<p>👤 ${escapeHtml(gallery.author || '未知')} · 🖼️ ${gallery.image_count || 0} 张图片${tags ? ` · ${tags}` : ''}</p>` +
+        `<p>${covers.join('')}</p>`;
+}
+
+function generateAtomFeed(galleries, feed) {
+    const updated = new Date(galleries.length ? galleries[0].created : Date.now()).toISOString();
+    const entries = galleries.map(gallery => {
+        const link = `${feed.origin}/gallery/${encodeURIComponent(gallery.id)}`;
+        const created = new Date(gallery.created).toISOString();
+        return `
+    <entry>
+        <title>${escapeHtml(gallery.title || '图集')}</title>
+        <id>${escapeHtml(link)}</id>
+        <link rel="alternate" type="text/html" href="${escapeHtml(link)}"/>
+        <published>${created}</published>
+        <updated>${created}</updated>
+        <author><name>${escapeHtml(gallery.author || '未知')}</name></author>
+        ${(gallery.tags || []).map(tag => `<category term="${escapeHtml(tag)}"/>`).join('')}
+        <summary type="html">${escapeHtml(generateFeedSummary(gallery, feed))}</summary>
+    </entry>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>${escapeHtml(feed.title)}</title>
+    <id>${escapeHtml(feed.selfUrl)}</id>
+    <link rel="self" type="application/atom+xml" href="${escapeHtml(feed.selfUrl)}"/>
+    <link rel="alternate" type="text/html" href="${escapeHtml(feed.htmlUrl)}"/>
+    <updated>${updated}</updated>${entries}
+</feed>`;
+}
+
+function generateRssFeed(galleries, feed) {
+    const items = galleries.map(gallery => {
+        const link = `${feed.origin}/gallery/${encodeURIComponent(gallery.id)}`;
+        return `
+        <item>
+            <title>${escapeHtml(gallery.title || '图集')}</title>
+            <link>${escapeHtml(link)}</link>
+            <guid isPermaLink="true">${escapeHtml(link)}</guid>
+            <pubDate>${new Date(gallery.created).toUTCString()}</pubDate>
+            <dc:creator>${escapeHtml(gallery.author || '未知')}</dc:creator>
+            ${(gallery.tags || []).map(tag => `<category>${escapeHtml(tag)}</category>`).join('')}
+            <description>${escapeHtml(generateFeedSummary(gallery, feed))}</description>
+        </item>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel>
+        <title>${escapeHtml(feed.title)}</title>
+        <link>${escapeHtml(feed.htmlUrl)}</link>
+        <description>${escapeHtml(feed.title)} - 最新画廊</description>
+        <atom:link rel="self" type="application/rss+xml" href="${escapeHtml(feed.selfUrl)}"/>${items}
+    </channel>
+</rss>`;
+}
+
+// 按筛选参数选择索引（?author= 作者页，?tag= 标签页，否则为全部广场）
+function getIndexPrefix(searchParams) {
+    const author = searchParams.get('author');
+    if (author) return getAuthorIndexPrefix(author);
+    const tag = normalizeTag(searchParams.get('tag'));
+    if (tag) return getTagIndexPrefix(tag);
+    return PLAZA_INDEX_PREFIX;
+}
+
+// 搜索广场画廊：逐批扫描索引元数据，按标题/作者子串匹配（支持中文）
+// 每次请求最多扫描 SEARCH_MAX_SCANS 批，返回的 cursor 指向下一批索引
+async function searchPlaza(env, searchParams) {
+    const query = normalizeSearchText(searchParams.get('q'));
+    const galleries = [];
+    let cursor = searchParams.get('cursor') || undefined;
+    let listComplete = false;
+
+    for (let scan = 0; scan < SEARCH_MAX_SCANS && galleries.length < SEARCH_PAGE_SIZE; scan++) {
+        const page = await env.KV.list({
+            prefix: getIndexPrefix(searchParams),
+            limit: 1000,
+            cursor
+        });
+
+        for (const key of page.keys) {
+            const summary = key.metadata;
+            if (summary && summary.id && matchesSearch(summary, query)) {
+                galleries.push(summary);
+            }
+        }
+
+        listComplete = page.list_complete;
+        cursor = page.cursor;
+        if (listComplete) break;
+    }
+
+    return {
+        galleries,
+        cursor: listComplete ? null : cursor,
+        hasMore: !listComplete
+    };
+}
+
+// 标题或作者包含关键词
+function matchesSearch(summary, query) {
+    return normalizeSearchText(summary.title).includes(query) ||
+        normalizeSearchText(summary.author).includes(query);
+}
+
+// 统一全角/半角与大小写，便于子串匹配
+function normalizeSearchText(text) {
+    return String(text || '').normalize('NFKC').toLowerCase().trim();
+}
+
+// ========== 重建广场索引 ==========
+async function handleReindex(request, env, searchParams) {
+    if (!isAdminRequest(request, env)) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // 分批处理，按返回的 cursor 继续调用直到 done 为 true
+    const limit = parseInt(searchParams.get('limit')) || 100;
+    const { keys, list_complete, cursor } = await env.KV.list({
+        prefix: 'gallery:',
+        limit: Math.min(limit, 500),
+        cursor: searchParams.get('cursor') || undefined
+    });
+
+    // 同时重写画廊主键，补全管理后台列表所需的元数据
+    let indexed = 0;
+    for (const key of keys) {
+        const galleryData = await env.KV.get(key.name, 'json');
+        if (!galleryData || !galleryData.id) continue;
+        await saveGallery(env, galleryData);
+        indexed++;
+    }
+
+    return Response.json({
+        indexed,
+        cursor: list_complete ? null : cursor,
+        done: list_complete
+    });
+}
+
+// ========== 配额查询 ==========
+async function handleQuotaCheck(request, env) {
+    const apiKeys = await getQuotaApiKeys(request, env);
+    if (!apiKeys) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const today = getDateKey(env);
+    const limit = getDailyCreateLimit(env);
+    const usage = await getDailyUsage(env, [
+        getQuotaKey(today),
+        ...apiKeys.map(apiKey => getQuotaKey(today, apiKey.id))
+    ]);
+    const todayCount = usage[getQuotaKey(today)];
+
+    const quota = {
+        date: today,
+        timezone: getQuotaTimeZone(env),
+        used: todayCount,
+        limit,
+        remaining: Math.max(0, limit - todayCount),
+        percentage: ((todayCount / limit) * 100).toFixed(1),
+        warning: todayCount >= limit * getQuotaWarnThreshold(env)
+    };
+
+    // 各 API Key 的今日用量
+    quota.keys = apiKeys.map(apiKey => {
+        const used = usage[getQuotaKey(today, apiKey.id)];
+        return {
+            id: apiKey.id,
+            name: apiKey.name,
+            used,
+            limit: apiKey.daily_limit,
+            remaining: Math.max(0, apiKey.daily_limit - used)
+        };
+    });
+
+    return Response.json(quota, {
+        headers: { 'Access-Control-Allow-Origin': '*' }
+    });
+}
+
+// ========== 配额历史 ==========
+// GET /api/quota/history?days=30  按天返回创建次数（最近的在前）
+async function handleQuotaHistory(request, env, url) {
+    const apiKeys = await getQuotaApiKeys(request, env);
+    if (!apiKeys) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const days = parseInt(url.searchParams.get('days') || '30');
+    if (!Number.isInteger(days) || days < 1 || days > QUOTA_HISTORY_DAYS) {
+        return Response.json({
+            error: 'INVALID_DATA',
+            message: `days 必须是 1-${QUOTA_HISTORY_DAYS} 之间的整数`
+        }, { status: 400 });
+    }
+
+    // 逐日往前推算日期（按配置的时区）
+    const dates = [];
+    for (let i = 0; dates.length < days; i++) {
+        const date = getDateKey(env, new Date(Date.now() - i * 86400000));
+        if (!dates.includes(date)) dates.push(date);
+    }
+
+    const names = dates.flatMap(date => [
+        getQuotaKey(date),
+        ...apiKeys.map(apiKey => getQuotaKey(date, apiKey.id))
+    ]);
+    const usage = await getDailyUsage(env, names);
+
+    return Response.json({
+        timezone: getQuotaTimeZone(env),
+        limit: getDailyCreateLimit(env),
+        history: dates.map(date => ({
+            date,
+            used: usage[getQuotaKey(date)],
+            keys: Object.fromEntries(apiKeys.map(apiKey => [apiKey.id, usage[getQuotaKey(date, apiKey.id)]]))
+        }))
+    }, {
+        headers: { 'Access-Control-Allow-Origin': '*' }
+    });
+}
+
+// 配额接口的认证（可选）：管理员可查看全部 API Key，API Key 只能查看自己
+// 未配置 ADMIN_TOKEN 时公开；认证失败返回 null
+async function getQuotaApiKeys(request, env) {
+    if (!env.ADMIN_TOKEN || isAdminRequest(request, env)) {
+        return await listApiKeys(env);
+    }
+    const client = await authenticateClient(request, env);
+    return client && client.apiKey ? [client.apiKey] : null;
+}
+
+// 每日创建总上限
+function getDailyCreateLimit(env) {
+    const limit = parseInt(env.DAILY_CREATE_LIMIT);
+    return limit > 0 ? limit : DAILY_CREATE_LIMIT;
+}
+
+// 预警阈值（0-1 之间的比例）
+function getQuotaWarnThreshold(env) {
+    const threshold = parseFloat(env.QUOTA_WARN_THRESHOLD);
+    return threshold > 0 && threshold <= 1 ? threshold : QUOTA_WARN_THRESHOLD;
+}
+
+// 配额按哪个时区换日（IANA 时区名，如 Asia/Shanghai），默认 UTC
+function getQuotaTimeZone(env) {
+    const timeZone = env.QUOTA_TIMEZONE || 'UTC';
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch (e) {
+        console.error('Invalid QUOTA_TIMEZONE:', timeZone);
+        return 'UTC';
+    }
+}
+
+// ========== API Key 管理（管理员） ==========
+async function handleApiKeys(request, env, keyId) {
+    if (!isAdminRequest(request, env)) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // 列出全部 Key（不含密钥）
+    if (!keyId && request.method === 'GET') {
+        return Response.json({ keys: await listApiKeys(env) });
+    }
+
+    // 创建 Key：完整密钥只在此时返回一次
+    if (!keyId && request.method === 'POST') {
+        const data = await request.json().catch(() => ({}));
+        const dailyLimit = parseDailyLimit(data.daily_limit, DEFAULT_KEY_DAILY_LIMIT);
+        if (dailyLimit === null) {
+            return Response.json({
+                success: false,
+                error: 'INVALID_DATA',
+                message: 'daily_limit 必须是正整数'
+            }, { status: 400 });
+        }
+
+        const id = generateToken(6);
+        const secret = generateToken();
+        const apiKey = {
+            id,
+            name: String(data.name || id).slice(0, 60),
+            daily_limit: dailyLimit,
+            admin: Boolean(data.admin), // 管理员 Key：可创建永久画廊
+            disabled: false,
+            created: Date.now(),
+            secret_hash: await sha256Hex(secret)
+        };
+        await saveApiKey(env, apiKey);
+
+        return Response.json({
+            success: true,
+            key: `${API_KEY_PREFIX}${id}_${secret}`,
+            ...toPublicApiKey(apiKey)
+        });
+    }
+
+    const apiKey = keyId ? await env.KV.get(`apikey:${keyId}`, 'json') : null;
+    if (!apiKey) {
+        return Response.json({
+            success: false,
+            error: 'NOT_FOUND',
+            message: 'API Key 不存在'
+        }, { status: 404 });
+    }
+
+    // 修改名称、每日上限或停用
+    if (request.method === 'PATCH') {
+        const data = await request.json().catch(() => ({}));
+        if (data.daily_limit !== undefined) {
+            const dailyLimit = parseDailyLimit(data.daily_limit, null);
+            if (dailyLimit === null) {
+                return Response.json({
+                    success: false,
+                    error: 'INVALID_DATA',
+                    message: 'daily_limit 必须是正整数'
+                }, { status: 400 });
+            }
+            apiKey.daily_limit = dailyLimit;
+        }
+        if (data.name !== undefined) apiKey.name = String(data.name).slice(0, 60);
+        if (data.disabled !== undefined) apiKey.disabled = Boolean(data.disabled);
+        if (data.admin !== undefined) apiKey.admin = Boolean(data.admin);
+
+        await saveApiKey(env, apiKey);
+        return Response.json({ success: true, ...toPublicApiKey(apiKey) });
+    }
+
+    if (request.method === 'DELETE') {
+        await env.KV.delete(`apikey:${keyId}`);
+        return Response.json({ success: true, id: keyId, deleted: true });
+    }
+
+    return new Response('Method Not Allowed', { status: 405 });
+}
+
+// ========== 管理后台 ==========
+async function handleAdmin(request, env, url, ctx) {
+    const path = url.pathname;
+
+    if (!env.ADMIN_TOKEN) {
+        return htmlResponse(generateAdminLoginHTML('未配置 ADMIN_TOKEN，管理后台不可用'), 404);
+    }
+
+    // 登录：校验令牌后写入签名 Cookie
+    if (path === '/admin/login' && request.method === 'POST') {
+        const form = await request.formData().catch(() => null);
+        const token = form ? String(form.get('token') || '') : '';
+        if (await sha256Hex(token) !== await sha256Hex(env.ADMIN_TOKEN)) {
+            return htmlResponse(generateAdminLoginHTML('令牌错误'), 401);
+        }
+        return new Response(null, {
+            status: 303,
+            headers: {
+                'Location': '/admin',
+                'Set-Cookie': await createAdminCookie(env)
+            }
+        });
+    }
+
+    if (path === '/admin/logout' && request.method === 'POST') {
+        return new Response(null, {
+            status: 303,
+            headers: {
+                'Location': '/admin',
+                'Set-Cookie': `${ADMIN_COOKIE_NAME}=; Path=/admin; HttpOnly; Secure; SameSite=Strict; Max-Age=0`
+            }
+        });
+    }
+
+    const loggedIn = await verifyAdminCookie(request, env);
+
+    if (path === '/admin' && request.method === 'GET') {
+        return htmlResponse(loggedIn ? generateAdminHTML() : generateAdminLoginHTML());
+    }
+
+    if (!path.startsWith('/admin/api/')) {
+        return new Response('Not Found', { status: 404 });
+    }
+
+    if (!loggedIn) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // 修改类请求必须来自本站页面（配合 SameSite=Strict 防止 CSRF）
+    if (request.method !== 'GET' && request.headers.get('Origin') !== url.origin) {
+        return Response.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    // 后台接口复用现有 API，以管理员身份转发
+    const headers = new Headers(request.headers);
+    headers.set('Authorization', `Bearer ${env.ADMIN_TOKEN}`);
+    const adminRequest = new Request(request, { headers });
+    const apiPath = path.slice('/admin'.length);
+
+    if (apiPath === '/api/galleries' && request.method === 'GET') {
+        return await handleAdminGalleryList(env, url);
+    }
+
+    if (apiPath === '/api/quota' && request.method === 'GET') {
+        return await handleQuotaCheck(adminRequest, env);
+    }
+
+    if (apiPath === '/api/quota/history' && request.method === 'GET') {
+        return await handleQuotaHistory(adminRequest, env, url);
+    }
+
+    const renewMatch = apiPath.match(/^\/api\/gallery\/([^/]+)\/renew$/);
+    if (renewMatch && request.method === 'POST') {
+        return await handleRenewGallery(adminRequest, env, renewMatch[1]);
+    }
+
+    const shareMatch = apiPath.match(/^\/api\/gallery\/([^/]+)\/share$/);
+    if (shareMatch && request.method === 'POST') {
+        return await handleCreateShareLink(adminRequest, env, shareMatch[1], getPublicOrigin(env, url));
+    }
+    if (shareMatch && request.method === 'DELETE') {
+        return await handleRevokeShareLinks(adminRequest, env, shareMatch[1]);
+    }
+
+    const galleryMatch = apiPath.match(/^\/api\/gallery\/([^/]+)$/);
+    if (galleryMatch && request.method === 'PATCH') {
+        return await handleUpdateGallery(adminRequest, env, galleryMatch[1]);
+    }
+    if (galleryMatch && request.method === 'DELETE') {
+        return await handleDeleteGallery(adminRequest, env, galleryMatch[1], ctx);
+    }
+
+    return Response.json({ error: 'Not Found' }, { status: 404 });
+}
+
+// 管理后台画廊列表（包括隐藏的画廊），q 按 ID / 标题 / 作者过滤
+async function handleAdminGalleryList(env, url) {
+    const query = (url.searchParams.get('q') || '').trim().toLowerCase();
+    const galleries = [];
+    let cursor = url.searchParams.get('cursor') || undefined;
+    let listComplete = false;
+
+    // 有搜索词时多扫描几页，凑够一页结果
+    for (let scan = 0; scan < (query ? SEARCH_MAX_SCANS : 1); scan++) {
+        const page = await env.KV.list({
+            prefix: 'gallery:',
+            limit: query ? 1000 : ADMIN_PAGE_SIZE,
+            cursor
+        });
+
+        for (const key of page.keys) {
+            const id = key.name.slice('gallery:'.length);
+            const summary = { id, ...(key.metadata || {}) };
+            if (query && ![summary.id, summary.title, summary.author]
+                .some(value => String(value || '').toLowerCase().includes(query))) {
+                continue;
+            }
+            summary.expires_at = key.expiration ? new Date(key.expiration * 1000).toISOString() : null;
+            galleries.push(summary);
+        }
+
+        listComplete = page.list_complete;
+        cursor = page.cursor;
+        if (listComplete || galleries.length >= ADMIN_PAGE_SIZE) break;
+    }
+
+    return Response.json({
+        galleries,
+        cursor: listComplete ? null : cursor,
+        has_more: !listComplete
+    });
+}
+
+// 管理后台登录 Cookie：{过期时间}.{HMAC 签名}，以 ADMIN_TOKEN 为密钥
+async function createAdminCookie(env) {
+    const expires = Date.now() + ADMIN_SESSION_TTL * 1000;
+    const signature = await hmacHex(env.ADMIN_TOKEN, `admin:${expires}`);
+    return `${ADMIN_COOKIE_NAME}=${expires}.${signature}; Path=/admin; HttpOnly; Secure; SameSite=Strict; Max-Age=${ADMIN_SESSION_TTL}`;
+}
+
+// 校验管理后台登录 Cookie
+async function verifyAdminCookie(request, env) {
+    const value = getCookie(request, ADMIN_COOKIE_NAME);
+    const match = value && value.match(/^(\d+)\.([0-9a-f]{64})$/);
+    if (!match || parseInt(match[1]) < Date.now()) return false;
+    return timingSafeEqual(await hmacHex(env.ADMIN_TOKEN, `admin:${match[1]}`), match[2]);
+}
+
+// 读取请求中的 Cookie
+function getCookie(request, name) {
+    const cookies = (request.headers.get('Cookie') || '').split(';');
+    for (const cookie of cookies) {
+        const [key, ...rest] = cookie.trim().split('=');
+        if (key === name) return rest.join('=');
+    }
+    return null;
+}
+
+// HTML 响应（不缓存）
+function htmlResponse(html, status = 200) {
+    return new Response(html, {
+        status,
+        headers: {
+            'Content-Type': 'text/html;charset=UTF-8',
+            'Cache-Control': 'no-store'
+        }
+    });
+}
+
+// ========== Webhook 通知 ==========
+// 事件以签名 JSON POST 到 WEBHOOK_URLS（逗号分隔）中的每个地址：
+// - X-Gallery-Event:     事件名
+// - X-Gallery-Timestamp: 发送时间（毫秒）
+// - X-Gallery-Signature: sha256=HMAC-SHA256(WEBHOOK_SECRET, "{timestamp}.{body}")
+// 在后台投递（ctx.waitUntil），失败时按指数退避重试，不影响接口响应
+function sendWebhook(env, ctx, event, data) {
+    const urls = parseList(env.WEBHOOK_URLS, false);
+    if (urls.length === 0) return;
+
+    const delivery = deliverWebhook(env, urls, event, data).catch(error => {
+        console.error(`Webhook ${event} error:`, error);
+    });
+    if (ctx) {
+        ctx.waitUntil(delivery);
+    }
+    return delivery;
+}
+
+async function deliverWebhook(env, urls, event, data) {
+    const timestamp = Date.now();
+    const body = JSON.stringify({ event, timestamp, data });
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Image-Gallery-Worker-Webhook',
+        'X-Gallery-Event': event,
+        'X-Gallery-Timestamp': String(timestamp)
+    };
+    if (env.WEBHOOK_SECRET) {
+        headers['X-Gallery-Signature'] = `sha256=${await hmacHex(env.WEBHOOK_SECRET, `${timestamp}.${body}`)}`;
+    }
+
+    await Promise.all(urls.map(async url => {
+        for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+            try {
+                const res = await fetch(url, { method: 'POST', headers, body });
+                if (res.ok) return;
+                // 4xx（429 除外）说明接收方拒绝，重试无意义
+                if (res.status < 500 && res.status !== 429) {
+                    console.error(`Webhook ${event} rejected by ${url}: HTTP ${res.status}`);
+                    return;
+                }
+                console.warn(`Webhook ${event} to ${url} failed (attempt ${attempt}): HTTP ${res.status}`);
+            } catch (error) {
+                console.warn(`Webhook ${event} to ${url} failed (attempt ${attempt}):`, error.message);
+            }
+            if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+                await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY * 2 ** (attempt - 1)));
+            }
+        }
+        console.error(`Webhook ${event} to ${url} gave up after ${WEBHOOK_MAX_ATTEMPTS} attempts`);
+    }));
+}
+
+// 配额越过预警线或用完时发送通知（每个计数每天各一次：只在恰好越线的那次创建时触发）
+function notifyQuotaThresholds(env, ctx, date, counters, usage, apiKey) {
+    counters.forEach((counter, i) => {
+        const used = usage[counter.name];
+        const warnAt = Math.ceil(counter.limit * getQuotaWarnThreshold(env));
+        const event = used === counter.limit ? 'quota.exhausted' :
+                      used === warnAt ? 'quota.warning' : null;
+        if (!event) return;
+
+        sendWebhook(env, ctx, event, {
+            date,
+            scope: i === 0 ? 'global' : 'api_key',
+            key_id: i === 0 ? null : apiKey.id,
+            key_name: i === 0 ? null : apiKey.name,
+            used,
+            limit: counter.limit
+        });
+    });
+}
+
+// 即将过期通知：找出在 [within - 检查间隔, within) 内过期的画廊，合并为一个事件发送
+// 每个画廊只会落在一次检查的窗口内，因此无需记录已通知状态
+async function notifyExpiringGalleries(env, ctx) {
+    if (parseList(env.WEBHOOK_URLS, false).length === 0) return;
+
+    const within = parseDuration(env.EXPIRING_NOTICE_WITHIN || EXPIRING_NOTICE_WITHIN) ||
+        parseDuration(EXPIRING_NOTICE_WITHIN);
+    const now = Math.floor(Date.now() / 1000);
+    const windowEnd = now + within;
+    const windowStart = windowEnd - EXPIRING_CHECK_INTERVAL;
+    const origin = env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/+$/, '') : null;
+
+    const galleries = [];
+    let cursor;
+    do {
+        const page = await env.KV.list({ prefix: 'gallery:', cursor });
+        for (const key of page.keys) {
+            if (!key.expiration || key.expiration < windowStart || key.expiration >= windowEnd) continue;
+            const id = key.name.slice('gallery:'.length);
+            galleries.push({
+                id,
+                gallery_url: origin ? `${origin}/gallery/${id}` : null,
+                title: key.metadata ? key.metadata.title : null,
+                expires_at: new Date(key.expiration * 1000).toISOString(),
+                expires_in_seconds: key.expiration - now
+            });
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    if (galleries.length === 0) return;
+    await sendWebhook(env, ctx, 'gallery.expiring', { within_seconds: within, galleries });
+}
+
+// ========== 辅助函数 ==========
+
+// 生成画廊 ID
+function generateGalleryId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    return `${timestamp}${random}`;
+}
+
+// 获取日期键（YYYY-MM-DD，按 QUOTA_TIMEZONE 换日）
+function getDateKey(env, date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: getQuotaTimeZone(env),
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(date);
+    const get = type => parts.find(part => part.type === type).value;
+    return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+// 开启代理的图床列表（环境变量 PROXY_HOSTS，逗号分隔，* 表示全部）
+function getProxyHosts(env) {
+    return parseList(env.PROXY_HOSTS);
+}
+
+// 逗号分隔的配置项转为数组
+function parseList(value, lowercase = true) {
+    return String(value || '')
+        .split(',')
+        .map(item => lowercase ? item.trim().toLowerCase() : item.trim())
+        .filter(Boolean);
+}
+
+// 域名匹配（含子域名）
+function matchesHost(hostname, host) {
+    return hostname === host || hostname.endsWith(`.${host}`);
+}
+
+// 该图片是否走代理
+function isProxiedImage(imageUrl, proxyHosts) {
+    if (!proxyHosts || proxyHosts.length === 0) return false;
+    if (proxyHosts.includes('*')) return true;
+    try {
+        const { hostname } = new URL(imageUrl);
+        return proxyHosts.some(host => matchesHost(hostname, host));
+    } catch (e) {
+        return false;
+    }
+}
+
+// 页面中使用的图片地址：开启代理的图床改为 /img/:galleryId/:index
+function getImageSrc(galleryId, index, imageUrl, proxyHosts, access = '') {
+    if (!isProxiedImage(imageUrl, proxyHosts)) return imageUrl;
+    return `/img/${encodeURIComponent(galleryId)}/${index}?h=${simpleHash(imageUrl).toString(36)}${access ? `&${access}` : ''}`;
+}
+
+// 校验图片地址列表，返回 { images, errors }
+// 只允许 http(s)；配置了 ALLOWED_IMAGE_HOSTS 时只允许白名单内的图床（含子域名）
+// errors 中的 index 为该图片在传入列表中的位置
+function validateImageUrls(images, env) {
+    const allowedHosts = parseList(env.ALLOWED_IMAGE_HOSTS);
+    const valid = [];
+    const errors = [];
+
+    images.forEach((item, index) => {
+        const fail = (reason, message) => errors.push({
+            index,
+            url: typeof item === 'string' ? item.slice(0, 200) : null,
+            reason,
+            message
+        });
+
+        if (typeof item !== 'string' || !item.trim()) {
+            return fail('NOT_A_STRING', '图片地址必须是非空字符串');
+        }
+        if (item.length > MAX_IMAGE_URL_LENGTH) {
+            return fail('URL_TOO_LONG', `图片地址过长（最多 ${MAX_IMAGE_URL_LENGTH} 个字符）`);
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(item.trim());
+        } catch (e) {
+            return fail('INVALID_URL', '不是有效的 URL');
+        }
+
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            return fail('UNSUPPORTED_SCHEME', `不支持的协议：${parsed.protocol}`);
+        }
+        if (parsed.username || parsed.password) {
+            return fail('INVALID_URL', '图片地址不能包含账号信息');
+        }
+        if (allowedHosts.length > 0 &&
+            !allowedHosts.some(host => matchesHost(parsed.hostname, host))) {
+            return fail('HOST_NOT_ALLOWED', `图床不在白名单内：${parsed.hostname}`);
+        }
+
+        // 保存规范化后的地址（特殊字符已被百分号编码）
+        valid.push(parsed.href);
+    });
+
+    return { images: valid, errors };
+}
+
+// 单个画廊最多图片数（环境变量 MAX_IMAGES）
+function getMaxImages(env) {
+    return parseInt(env.MAX_IMAGES) || DEFAULT_MAX_IMAGES;
+}
+
+// 管理员认证（未配置 ADMIN_TOKEN 时一律拒绝）
+function isAdminRequest(request, env) {
+    if (!env.ADMIN_TOKEN) return false;
+    return request.headers.get('Authorization') === `Bearer ${env.ADMIN_TOKEN}`;
+}
+
+// 调用方认证：管理员令牌返回 { admin: true }，有效 API Key 返回 { apiKey }，否则 null
+// API Key 格式为 gk_{id}_{secret}，KV 中只保存 secret 的哈希
+async function authenticateClient(request, env) {
+    if (isAdminRequest(request, env)) return { admin: true };
+
+    const auth = request.headers.get('Authorization') || '';
+    const match = auth.match(new RegExp(`^Bearer ${API_KEY_PREFIX}([0-9a-f]+)_([0-9a-f]+)$`));
+    if (!match) return null;
+
+    const apiKey = await env.KV.get(`apikey:${match[1]}`, 'json');
+    if (!apiKey || apiKey.disabled) return null;
+    if (await sha256Hex(match[2]) !== apiKey.secret_hash) return null;
+
+    return { apiKey };
+}
+
+// 列出全部 API Key（取自 KV 元数据，无需逐个读取）
+async function listApiKeys(env) {
+    const apiKeys = [];
+    let cursor;
+    do {
+        const page = await env.KV.list({ prefix: 'apikey:', cursor });
+        apiKeys.push(...page.keys.map(key => key.metadata).filter(Boolean));
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return apiKeys;
+}
+
+// 保存 API Key（公开字段同时写入元数据，便于列出）
+async function saveApiKey(env, apiKey) {
+    await env.KV.put(`apikey:${apiKey.id}`, JSON.stringify(apiKey), {
+        metadata: toPublicApiKey(apiKey)
+    });
+}
+
+// API Key 的公开字段（去掉密钥哈希）
+function toPublicApiKey(apiKey) {
+    const { secret_hash, ...publicFields } = apiKey;
+    return publicFields;
+}
+
+// 解析每日上限，无效时返回 null
+function parseDailyLimit(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit > 0 ? limit : null;
+}
+
+// 画廊管理权限：管理员令牌返回 'admin'，画廊管理令牌返回 'owner'，否则 null
+// 管理令牌可通过 Authorization: Bearer、X-Manage-Token 头或 ?token= 参数传入
+async function getGalleryRole(request, env, galleryData) {
+    if (isAdminRequest(request, env)) return 'admin';
+    if (!galleryData.manage_token_hash) return null;
+
+    const auth = request.headers.get('Authorization') || '';
+    const token = request.headers.get('X-Manage-Token') ||
+        (auth.startsWith('Bearer ') ? auth.slice(7) : null) ||
+        new URL(request.url).searchParams.get('token');
+    if (!token) return null;
+
+    return await sha256Hex(token) === galleryData.manage_token_hash ? 'owner' : null;
+}
+
+// 画廊可见性（旧数据的 hidden 视为 unlisted）
+function getGalleryVisibility(galleryData) {
+    if (GALLERY_VISIBILITIES.includes(galleryData.visibility)) return galleryData.visibility;
+    return galleryData.hidden ? 'unlisted' : 'public';
+}
+
+function isPrivateGallery(galleryData) {
+    return getGalleryVisibility(galleryData) === 'private';
+}
+
+function hasGalleryPassword(galleryData) {
+    return !!galleryData.password_hash;
+}
+
+// 私密或设置了密码的画廊：不进公共缓存
+function isRestrictedGallery(galleryData) {
+    return isPrivateGallery(galleryData) || hasGalleryPassword(galleryData);
+}
+
+// 能否查看画廊：可见性与密码都要满足
+async function canViewGallery(request, env, galleryData) {
+    return await hasVisibilityAccess(request, env, galleryData) &&
+        await isGalleryUnlocked(request, env, galleryData);
+}
+
+// 非私密画廊任何人可看；私密画廊需要管理员 / 所有者令牌或有效的 ?share= 签名
+async function hasVisibilityAccess(request, env, galleryData) {
+    if (!isPrivateGallery(galleryData)) return true;
+    if (await getGalleryRole(request, env, galleryData)) return true;
+    return await verifyShareToken(galleryData, new URL(request.url).searchParams.get('share'));
+}
+
+// 设置了密码的画廊需要访问 Cookie（管理员 / 所有者令牌除外）
+async function isGalleryUnlocked(request, env, galleryData) {
+    if (!hasGalleryPassword(galleryData)) return true;
+    if (await getGalleryRole(request, env, galleryData)) return true;
+    return await verifyUnlockCookie(request, galleryData);
+}
+
+// 分享签名：{过期时间}.{HMAC}，密钥为画廊自己的 share_secret
+async function createShareToken(galleryData, ttlSeconds) {
+    const expires = Date.now() + ttlSeconds * 1000;
+    const signature = await hmacHex(galleryData.share_secret, `share:${galleryData.id}:${expires}`);
+    return `${expires}.${signature}`;
+}
+
+// 页面使用的分享签名：有效的 ?share= 原样返回，否则（管理员 / 所有者）生成 SHARE_PAGE_TTL 的新签名
+async function getPageShareToken(request, env, galleryData) {
+    const share = new URL(request.url).searchParams.get('share');
+    if (await verifyShareToken(galleryData, share)) return share;
+    return await createShareToken(galleryData, SHARE_PAGE_TTL);
+}
+
+async function verifyShareToken(galleryData, token) {
+    const match = galleryData.share_secret && token && token.match(/^(\d+)\.([0-9a-f]{64})$/);
+    if (!match || parseInt(match[1]) < Date.now()) return false;
+    return timingSafeEqual(await hmacHex(galleryData.share_secret, `share:${galleryData.id}:${match[1]}`), match[2]);
+}
+
+// 生成随机令牌（十六进制）
+function generateToken(bytes = 24) {
+    const buffer = crypto.getRandomValues(new Uint8Array(bytes));
+    return Array.from(buffer, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// HMAC-SHA256 签名（十六进制）
+async function hmacHex(secret, message) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+    return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// SHA-256 摘要（十六进制）
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// 画廊过期时间（毫秒），永久画廊返回 null
+// 旧数据没有 expires_at，按创建时间 + GALLERY_TTL 推算
+function getGalleryExpiresAt(galleryData) {
+    if (galleryData.permanent) return null;
+    if (galleryData.expires_at) return galleryData.expires_at;
+    return (galleryData.created || Date.now()) + GALLERY_TTL * 1000;
+}
+
+// KV 写入时的过期参数（永久画廊不设置过期）
+function getExpirationOptions(galleryData) {
+    const expiresAt = getGalleryExpiresAt(galleryData);
+    if (expiresAt === null) return {};
+    // KV 要求过期时间至少在 60 秒之后
+    return { expiration: Math.max(Math.ceil(expiresAt / 1000), Math.ceil(Date.now() / 1000) + 60) };
+}
+
+// 接口返回的有效期信息
+function getExpiryInfo(galleryData) {
+    const expiresAt = getGalleryExpiresAt(galleryData);
+    if (expiresAt === null) {
+        return { permanent: true, expires_at: null, expires_in_days: null, expires_in_seconds: null };
+    }
+    const remainingSeconds = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+    return {
+        permanent: false,
+        expires_at: new Date(expiresAt).toISOString(),
+        expires_in_days: Math.ceil(remainingSeconds / 86400),
+        expires_in_seconds: remainingSeconds
+    };
+}
+
+// 有效期范围（天）：MIN_TTL_DAYS / MAX_TTL_DAYS / DEFAULT_TTL_DAYS
+function getTtlBounds(env) {
+    const min = parseFloat(env.MIN_TTL_DAYS) || MIN_TTL_DAYS;
+    const max = parseFloat(env.MAX_TTL_DAYS) || MAX_TTL_DAYS;
+    const fallback = parseFloat(env.DEFAULT_TTL_DAYS) || GALLERY_TTL / 86400;
+    return { min, max, fallback: Math.min(Math.max(fallback, min), max) };
+}
+
+// 解析创建/续期请求中的有效期，返回 { expiresAt }（永久为 null）或 { error, code?, status? }
+// - ttl_days:   有效天数
+// - expires_at: 过期时间（ISO 字符串或毫秒时间戳）
+// - permanent:  永久有效，仅限管理员令牌或管理员 API Key
+function resolveGalleryExpiry(data, env, client) {
+    const { min, max, fallback } = getTtlBounds(env);
+
+    if (data.permanent === true) {
+        if (!isPrivilegedClient(client)) {
+            return { error: '只有管理员可以创建永久画廊', code: 'FORBIDDEN', status: 403 };
+        }
+        return { expiresAt: null };
+    }
+
+    if (data.ttl_days !== undefined && data.expires_at !== undefined) {
+        return { error: 'ttl_days 与 expires_at 只能二选一' };
+    }
+
+    let days = fallback;
+    if (data.ttl_days !== undefined) {
+        days = Number(data.ttl_days);
+        if (!Number.isFinite(days) || days <= 0) return { error: 'ttl_days 必须是正数' };
+    } else if (data.expires_at !== undefined) {
+        const expiresAt = new Date(data.expires_at).getTime();
+        if (!Number.isFinite(expiresAt)) return { error: 'expires_at 不是有效的时间' };
+        days = (expiresAt - Date.now()) / 86400000;
+    }
+
+    if (days < min || days > max) {
+        return { error: `有效期必须在 ${min} 到 ${max} 天之间` };
+    }
+    return { expiresAt: Date.now() + Math.round(days * 86400000) };
+}
+
+// 解析时长（如 3d、12h、30m，不带单位按天），返回秒数，无效时返回 null
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([dhm]?)$/i);
+    if (!match) return null;
+    const units = { d: 86400, h: 3600, m: 60 };
+    return Math.round(parseFloat(match[1]) * units[(match[2] || 'd').toLowerCase()]);
+}
+
+// 管理员令牌或带 admin 标记的 API Key
+function isPrivilegedClient(client) {
+    return Boolean(client && (client.admin || (client.apiKey && client.apiKey.admin)));
+}
+
+// 写入画廊数据（保持原有过期时间）并同步索引
+// previousData 为编辑前的数据，用于清理不再适用的索引（如作者变更）
+async function saveGallery(env, galleryData, previousData = null) {
+    await putGalleryRecord(env, galleryData);
+    await syncGalleryIndexes(env, galleryData, previousData);
+}
+
+// 只写入画廊主键（不涉及索引的字段变化时使用，节省 KV 写入）
+async function putGalleryRecord(env, galleryData) {
+    await env.KV.put(
+        `gallery:${galleryData.id}`,
+        JSON.stringify(galleryData),
+        { ...getExpirationOptions(galleryData), metadata: buildAdminSummary(galleryData) }
+    );
+}
+
+// 删除画廊数据及其派生数据
+async function deleteGallery(env, galleryData) {
+    await env.KV.delete(`gallery:${galleryData.id}`);
+    await Promise.all(getGalleryIndexKeys(galleryData).map(key => env.KV.delete(key)));
+}
+
+// 同步画廊索引：键名按创建时间倒序，卡片摘要存于元数据，与画廊同时过期
+async function syncGalleryIndexes(env, galleryData, previousData = null) {
+    const keys = getGalleryIndexKeys(galleryData);
+    const staleKeys = previousData ?
+        getGalleryIndexKeys(previousData).filter(key => !keys.includes(key)) : [];
+    const options = {
+        ...getExpirationOptions(galleryData),
+        metadata: buildGallerySummary(galleryData)
+    };
+
+    await Promise.all([
+        ...keys.map(key => env.KV.put(key, '', options)),
+        ...staleKeys.map(key => env.KV.delete(key))
+    ]);
+}
+
+// 画廊的全部索引键：
+// - plaza:{倒序时间戳}:{id}         广场
+// - author:{作者}:{倒序时间戳}:{id}  作者页
+// - tag:{标签}:{倒序时间戳}:{id}     标签页（每个标签一条）
+// KV.list 的字典序即为最新优先
+function getGalleryIndexKeys(galleryData) {
+    // 只有公开画廊出现在广场、作者页和标签页（以及搜索、订阅源）
+    if (getGalleryVisibility(galleryData) !== 'public' || hasGalleryPassword(galleryData)) return [];
+    const suffix = `${getReversedTimestamp(galleryData.created)}:${galleryData.id}`;
+    return [
+        `${PLAZA_INDEX_PREFIX}${suffix}`,
+        `${getAuthorIndexPrefix(galleryData.author)}${suffix}`,
+        ...(galleryData.tags || []).map(tag => `${getTagIndexPrefix(tag)}${suffix}`)
+    ];
+}
+
+// 校验主题色：null 或 { primary, accent, ... }，每个值必须是十六进制或 rgb()/hsl() 颜色
+// 主题色会写入页面的 style 属性，不能放行其他字符
+function validateThemeColors(themeColors) {
+    if (themeColors === undefined || themeColors === null) return { themeColors: null };
+    if (typeof themeColors !== 'object' || Array.isArray(themeColors)) {
+        return { error: 'theme_colors 必须是对象或 null' };
+    }
+    const entries = Object.entries(themeColors);
+    if (entries.length > 8) return { error: 'theme_colors 最多 8 个颜色' };
+    for (const [name, value] of entries) {
+        if (typeof value !== 'string' || !isCssColor(value)) {
+            return { error: `theme_colors.${name} 必须是十六进制、rgb() 或 hsl() 颜色` };
+        }
+    }
+    return { themeColors: Object.fromEntries(entries.map(([name, value]) => [name, value.trim()])) };
+}
+
+function isCssColor(value) {
+    const color = value.trim();
+    return /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color) ||
+        /^(?:rgb|hsl)a?\(\s*[-+0-9.%\s,/a-z]{1,60}\)$/i.test(color);
+}
+
+// 标签索引前缀
+function getTagIndexPrefix(tag) {
+    return `${TAG_INDEX_PREFIX}${encodeURIComponent(tag)}:`;
+}
+
+// 校验并规范化标签列表，返回 { tags } 或 { error }
+function validateTags(tags) {
+    if (tags === undefined || tags === null) return { tags: [] };
+    if (!Array.isArray(tags)) return { error: 'tags 必须是数组' };
+
+    const normalized = [];
+    for (const tag of tags) {
+        if (typeof tag !== 'string') return { error: 'tags 必须是字符串数组' };
+        const value = normalizeTag(tag);
+        if (!value) return { error: `无效的标签：${tag}` };
+        if (Array.from(value).length > MAX_TAG_LENGTH) {
+            return { error: `标签过长（最多 ${MAX_TAG_LENGTH} 个字符）：${tag}` };
+        }
+        if (!/^[\p{L}\p{N}_-]+$/u.test(value)) {
+            return { error: `标签只能包含文字、数字、下划线和连字符：${tag}` };
+        }
+        if (!normalized.includes(value)) normalized.push(value);
+    }
+
+    if (normalized.length > MAX_TAGS) {
+        return { error: `标签最多 ${MAX_TAGS} 个` };
+    }
+    return { tags: normalized };
+}
+
+// 规范化单个标签：去掉 #、统一全角/半角和大小写、空白转为连字符
+function normalizeTag(tag) {
+    return String(tag || '')
+        .normalize('NFKC')
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/\s+/g, '-');
+}
+
+// 作者索引前缀（作者名按摘要长度截断后编码，避免 ':' 冲突）
+function getAuthorIndexPrefix(author) {
+    return `${AUTHOR_INDEX_PREFIX}${encodeURIComponent(truncateText(author || '未知', 30))}:`;
+}
+
+// 倒序时间戳（13位，越新越小）
+function getReversedTimestamp(created) {
+    return String(MAX_TIMESTAMP - (created || 0)).padStart(13, '0');
+}
+
+// 按字符截断（不拆开代理对）
+function truncateText(text, maxLength) {
+    return Array.from(String(text)).slice(0, maxLength).join('');
+}
+
+// 画廊卡片摘要（KV 元数据上限 1024 字节，超出时逐个丢弃封面图）
+function buildGallerySummary(galleryData) {
+    const images = galleryData.images || [];
+    const summary = {
+        id: galleryData.id,
+        title: truncateText(galleryData.title || '图集', 60),
+        author: truncateText(galleryData.author || '未知', 30),
+        image_count: galleryData.image_count || images.length,
+        tags: galleryData.tags || [],
+        covers: images.slice(0, 4),
+        gif: images.some(isGifUrl),
+        theme_colors: galleryData.theme_colors ? {
+            primary: String(galleryData.theme_colors.primary || '').slice(0, 32),
+            accent: String(galleryData.theme_colors.accent || '').slice(0, 32)
+        } : null,
+        created: galleryData.created
+    };
+
+    while (summary.covers.length > 0 &&
+           new TextEncoder().encode(JSON.stringify(summary)).length > METADATA_MAX_BYTES) {
+        summary.covers.pop();
+    }
+    return summary;
+}
+
+// 画廊主键的元数据（管理后台列表用，无需逐个读取画廊）
+function buildAdminSummary(galleryData) {
+    return {
+        title: truncateText(galleryData.title || '图集', 60),
+        author: truncateText(galleryData.author || '未知', 30),
+        image_count: galleryData.image_count || (galleryData.images || []).length,
+        created: galleryData.created,
+        created_by: galleryData.created_by || null,
+        visibility: getGalleryVisibility(galleryData),
+        password: hasGalleryPassword(galleryData),
+        broken: galleryData.link_check ? galleryData.link_check.broken : 0
+    };
+}
+
+// 是否为 GIF 动图
+function isGifUrl(img) {
+    const lower = img.toLowerCase();
+    return lower.includes('.gif') || 
+        lower.includes('mmbiz_gif') ||
+        lower.includes('wx_fmt=gif');
+}
+
+// 某日配额计数键（传入 API Key ID 时为该 Key 的计数）
+function getQuotaKey(date, keyId = null) {
+    return keyId ? `quota:${date}:key:${keyId}` : `quota:${date}`;
+}
+
+// 配额计数器（所有计数集中在同一个 Durable Object 实例中）
+function getQuotaCounter(env) {
+    return env.QUOTA_COUNTER.get(env.QUOTA_COUNTER.idFromName('global'));
+}
+
+// 占用一次配额：counters 为 [{ name, limit }]，全部未超限时才会同时加一
+// 返回 { allowed: true, usage: { 计数名: 加一后的次数 } } 或 { allowed: false, exceeded: 超限的计数名 }
+async function reserveDailyQuota(env, counters) {
+    if (env.QUOTA_COUNTER) {
+        const res = await getQuotaCounter(env).fetch('https://quota/reserve', {
+            method: 'POST',
+            body: JSON.stringify({ counters })
+        });
+        return res.json();
+    }
+
+    // 未绑定 Durable Object 时退回 KV 计数（非原子，并发时可能少计）
+    console.warn('QUOTA_COUNTER not bound, falling back to KV counters');
+    const usage = await getDailyUsage(env, counters.map(counter => counter.name));
+    const exceeded = counters.find(counter => usage[counter.name] >= counter.limit);
+    if (exceeded) return { allowed: false, exceeded: exceeded.name };
+    const updated = Object.fromEntries(counters.map(counter => [counter.name, usage[counter.name] + 1]));
+    await Promise.all(counters.map(counter =>
+        env.KV.put(counter.name, String(updated[counter.name]), { expirationTtl: QUOTA_HISTORY_DAYS * 86400 })
+    ));
+    return { allowed: true, usage: updated };
+}
+
+// 归还配额（画廊写入失败时）
+async function releaseDailyQuota(env, names) {
+    if (env.QUOTA_COUNTER) {
+        await getQuotaCounter(env).fetch('https://quota/release', {
+            method: 'POST',
+            body: JSON.stringify({ names })
+        });
+        return;
+    }
+
+    const usage = await getDailyUsage(env, names);
+    await Promise.all(names.map(name =>
+        env.KV.put(name, String(Math.max(0, usage[name] - 1)), { expirationTtl: QUOTA_HISTORY_DAYS * 86400 })
+    ));
+}
+
+// 读取多个计数，返回 { 计数名: 次数 }
+async function getDailyUsage(env, names) {
+    if (env.QUOTA_COUNTER) {
+        const res = await getQuotaCounter(env).fetch('https://quota/usage', {
+            method: 'POST',
+            body: JSON.stringify({ names })
+        });
+        return res.json();
+    }
+
+    const values = await Promise.all(names.map(name => env.KV.get(name)));
+    return Object.fromEntries(names.map((name, i) => [name, parseInt(values[i] || '0')]));
+}
+
+// 路由对应的限流分组（健康检查等不限流时返回 null）
+function getRateLimitGroup(path) {
+    if (path === '/api/create-gallery') return 'create';
+    if (path.endsWith('/download.zip')) return 'download';
+    if (path === '/plaza' || path === '/explore' ||
+        path === '/api/plaza' || path === '/api/search' || path === '/api/galleries' ||
+        path === '/feed.xml' || path === '/rss.xml' ||
+        path.startsWith('/author/') || path.startsWith('/tag/')) return 'plaza';
+    if (path.startsWith('/api/') || path.startsWith('/admin')) return 'api';
+    if (path.startsWith('/gallery/') || path.startsWith('/img/')) return 'page';
+    return null;
+}
+
+// 当前生效的限流规则（默认规则 + RATE_LIMITS 覆盖）
+// 覆盖值必须是 null 或 { limit, window }（正整数），无效的分组沿用默认规则
+function getRateLimitRules(env) {
+    if (!env.RATE_LIMITS) return RATE_LIMIT_RULES;
+    let overrides;
+    try {
+        overrides = JSON.parse(env.RATE_LIMITS);
+    } catch (e) {
+        console.error('Invalid RATE_LIMITS:', e);
+        return RATE_LIMIT_RULES;
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        console.error('Invalid RATE_LIMITS: must be a JSON object');
+        return RATE_LIMIT_RULES;
+    }
+
+    const rules = { ...RATE_LIMIT_RULES };
+    for (const [group, rule] of Object.entries(overrides)) {
+        const valid = rule === null || (rule && typeof rule === 'object' &&
+            Number.isInteger(rule.limit) && rule.limit > 0 &&
+            Number.isInteger(rule.window) && rule.window > 0);
+        if (valid) {
+            rules[group] = rule;
+        } else {
+            console.error(`Invalid RATE_LIMITS.${group}: limit and window must be positive integers`);
+        }
+    }
+    return rules;
+}
+
+// 按 CF-Connecting-IP 固定窗口计数，超限时返回 429 响应，否则返回 null
+// SHARED_RATE_LIMIT_GROUPS 中的分组在绑定 QUOTA_COUNTER 时跨实例计数，其余分组按实例内存计数
+// 白名单 IP（RATE_LIMIT_ALLOWLIST）和管理员请求不限流
+async function checkRateLimit(request, env, path, group = getRateLimitGroup(path)) {
+    const rule = group ? getRateLimitRules(env)[group] : null;
+    if (!rule) return null;
+
+    const ip = request.headers.get('CF-Connecting-IP');
+    if (!ip || parseList(env.RATE_LIMIT_ALLOWLIST).includes(ip.toLowerCase())) return null;
+    if (isAdminRequest(request, env)) return null;
+
+    const now = Date.now();
+    let bucket;
+    if (env.QUOTA_COUNTER && SHARED_RATE_LIMIT_GROUPS.includes(group)) {
+        bucket = await updateAttemptCounter(env, `attempts:${group}:${ip}`, 'hit', rule.window);
+    } else {
+        const bucketKey = `${group}:${ip}`;
+        bucket = rateLimitBuckets.get(bucketKey);
+        if (!bucket || bucket.reset <= now) {
+            bucket = { count: 0, reset: now + rule.window * 1000 };
+            rateLimitBuckets.set(bucketKey, bucket);
+            pruneRateLimitBuckets(now);
+        }
+        bucket.count++;
+    }
+
+    if (bucket.count <= rule.limit) return null;
+
+    const retryAfter = Math.max(1, Math.ceil((bucket.reset - now) / 1000));
+    return Response.json({
+        success: false,
+        error: 'RATE_LIMITED',
+        message: `请求过于频繁，请 ${retryAfter} 秒后再试`,
+        retry_after: retryAfter
+    }, {
+        status: 429,
+        headers: {
+            'Retry-After': String(retryAfter),
+            'Access-Control-Allow-Origin': '*'
+        }
+    });
+}
+
+// 清理过期的限流计数，避免内存无限增长
+function pruneRateLimitBuckets(now) {
+    if (rateLimitBuckets.size < 10000) return;
+    for (const [key, bucket] of rateLimitBuckets) {
+        if (bucket.reset <= now) rateLimitBuckets.delete(key);
+    }
+}
+
+// CORS 处理
+function handleCORS() {
+    return new Response(null, {
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Manage-Token',
+        }
+    });
+}
+
+// 生成画廊 HTML（精美升级版）
+function generateGalleryHTML(data, proxyHosts = [], origin = '', access = '') {
+    // 页面中使用的图片地址（开启代理的图床走 /img 路由，私密画廊附带 access 签名）
+    const images = (data.images || []).map((img, index) => getImageSrc(data.id, index, img, proxyHosts, access));
+    const title = escapeHtml(data.title || '图集');
+    const author = escapeHtml(data.author || '未知');
+
+    // 链接预览（Open Graph / Twitter Card）：首图为预览图，另附拼图封面
+    const canonicalUrl = `${origin}/gallery/${encodeURIComponent(data.id)}`;
+    const description = escapeHtml(`${data.author || '未知'} · ${images.length} 张图片${(data.tags || []).length ? ` · ${data.tags.map(tag => `#${tag}`).join(' ')}` : ''}`);
+    const previewImage = images.length ? escapeHtml(images[0].startsWith('/') ? `${origin}${images[0]}` : images[0]) : '';
+    const coverUrl = `${canonicalUrl}/cover.svg`;
+    // 非公开画廊不让搜索引擎收录；私密或有密码的画廊不输出预览图，私密画廊分享时附带签名
+    const indexable = getGalleryVisibility(data) === 'public' && !hasGalleryPassword(data);
+    const restricted = isRestrictedGallery(data);
+    const shareUrl = access ? `${canonicalUrl}?${access}` : canonicalUrl;
+    const createdDate = new Date(data.created).toLocaleDateString('zh-CN');
+    const tags = data.tags || [];
+    const brokenCount = data.link_check ? data.link_check.broken : 0;
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - 图集画廊</title>
+    <meta name="description" content="${description}">
+    <link rel="canonical" href="${canonicalUrl}">
+    <meta property="og:type" content="article">
+    <meta property="og:site_name" content="图集画廊">
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:url" content="${canonicalUrl}">
+    ${indexable ? '' : '<meta name="robots" content="noindex">'}
+    ${!restricted ? `${previewImage ? `<meta property="og:image" content="${previewImage}">` : ''}
+    <meta property="og:image" content="${coverUrl}">
+    <meta property="og:image:type" content="image/svg+xml">
+    <meta property="og:image:width" content="${COVER_WIDTH}">
+    <meta property="og:image:height" content="${COVER_HEIGHT}">` : ''}
+    <meta property="article:author" content="${author}">
+    <meta name="twitter:card" content="${!restricted ? 'summary_large_image' : 'summary'}">
+    <meta name="twitter:title" content="${title}">
+    <meta name="twitter:description" content="${description}">
+    ${!restricted ? `<meta name="twitter:image" content="${previewImage || coverUrl}">` : ''}
+    <style>
+        :root {
+            --bg-primary: #f8f9fa;
+            --bg-secondary: #ffffff;
+            --text-primary: #1a1a1a;
+            --text-secondary: #666;
+            --border-color: #e0e0e0;
+            --shadow: 0 2px 12px rgba(0,0,0,0.08);
+            --shadow-hover: 0 8px 24px rgba(0,0,0,0.12);
+            --accent: #007bff;
+            --radius: 16px;
+        }
+        
+        [data-theme="dark"] {
+            --bg-primary: #1a1a1a;
+            --bg-secondary: #2d2d2d;
+            --text-primary: #e8e8e8;
+            --text-secondary: #aaa;
+            --border-color: #404040;
+            --shadow: 0 2px 12px rgba(0,0,0,0.3);
+            --shadow-hover: 0 8px 24px rgba(0,0,0,0.5);
+        }
+        
+        * { 
+            margin: 0; 
+            padding: 0; 
+            box-sizing: border-box; 
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+            background: var(--bg-primary);
+            color: var(--text-primary);
+            line-height: 1.6;
+            transition: background 0.3s ease, color 0.3s ease;
+        }
+        
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        
+        /* 顶部栏 */
+        .top-bar {
+            display: flex;
+            justify-content: flex-end;
+            gap: 12px;
+            margin-bottom: 20px;
+        }
+        
+        .btn {
+            background: var(--bg-secondary);
+            border: 1px solid var(--border-color);
+            padding: 10px 20px;
+            border-radius: 10px;
+            cursor: pointer;
+            font-size: 14px;
+            color: var(--text-primary);
+            transition: all 0.2s;
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            box-shadow: var(--shadow);
+        }
+        
+        .btn:hover {
+            transform: translateY(-2px);
+            box-shadow: var(--shadow-hover);
+        }
+        
+        /* 画廊广场按钮特殊样式 */
+        .btn-explore {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border: none;
+            font-weight: 500;
+        }
+        
+        .btn-explore:hover {
+            background: linear-gradient(135deg, #5568d3 0%, #6a4091 100%);
+            transform: translateY(-2px) scale(1.05);
+        }
+        
+        /* 头部 */
+        .header {
+            background: var(--bg-secondary);
+            padding: 40px;
+            border-radius: var(--radius);
+            box-shadow: var(--shadow);
+            margin-bottom: 30px;
+            position: relative;
+            overflow: hidden;
+        }
+        
+        .header::before {
+            content: '';
+            position: absolute;
+            top: 0;
+            left: 0;
+            right: 0;
+            height: 4px;
+            background: linear-gradient(90deg, #667eea 0%, #764ba2 100%);
+        }
+        
+        .header h1 {
+            font-size: 32px;
+            margin-bottom: 20px;
+            color: var(--text-primary);
+            font-weight: 700;
+        }
+        
+        .meta {
+            display: flex;
+            gap: 24px;
+            flex-wrap: wrap;
+            color: var(--text-secondary);
+            font-size: 14px;
+        }
+        
+        .meta-item {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 12px;
+            background: var(--bg-primary);
+            border-radius: 8px;
+        }
+        
+        .meta-link {
+            color: inherit;
+            text-decoration: none;
+            transition: color 0.2s;
+        }
+        
+        .meta-link:hover {
+            color: var(--accent);
+        }
+        
+        /* 标签 */
+        .tag-list {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-top: 16px;
+        }
+        
+        /* 失效图片提示 */
+        .broken-notice {
+            margin-top: 16px;
+            padding: 10px 14px;
+            border-radius: 8px;
+            font-size: 14px;
+            background: rgba(245, 158, 11, 0.12);
+            color: #b45309;
+        }
+        
+        [data-theme="dark"] .broken-notice {
+            color: #fbbf24;
+        }
+        
+        .tag-chip {
+            font-size: 13px;
+            padding: 4px 12px;
+            border-radius: 20px;
+            background: var(--bg-primary);
+            border: 1px solid var(--border-color);
+            color: var(--text-secondary);
+            text-decoration: none;
+            transition: all 0.2s;
+        }
+        
+        .tag-chip:hover {
+            color: var(--accent);
+            border-color: var(--accent);
+        }
+        
+        /* 瀑布流画廊 */
+        .gallery {
+            column-count: 4;
+            column-gap: 20px;
+            margin-bottom: 40px;
+        }
+        
+        .image-card {
+            background: var(--bg-secondary);
+            border-radius: var(--radius);
+            overflow: hidden;
+            box-shadow: var(--shadow);
+            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+            cursor: pointer;
+            break-inside: avoid;
+            margin-bottom: 20px;
+            position: relative;
+        }
+        
+        .image-card:hover {
+            transform: translateY(-6px) scale(1.02);
+            box-shadow: var(--shadow-hover);
+        }
+        
+        .image-card img {
+            width: 100%;
+            display: block;
+            transition: transform 0.3s;
+        }
+        
+        .image-card:hover img {
+            transform: scale(1.05);
+        }
+        
+        .image-overlay {
+            position: absolute;
+            bottom: 0;
+            left: 0;
+            right: 0;
+            background: linear-gradient(to top, rgba(0,0,0,0.7), transparent);
+            padding: 20px 15px 15px;
+            transform: translateY(100%);
+            transition: transform 0.3s;
+            color: white;
+        }
+        
+        .image-card:hover .image-overlay {
+            transform: translateY(0);
+        }
+        
+        .image-number {
+            font-size: 13px;
+            font-weight: 500;
+        }
+        
+        .download-btn {
+            position: absolute;
+            top: 12px;
+            right: 12px;
+            background: rgba(255,255,255,0.95);
+            backdrop-filter: blur(10px);
+            color: #333;
+            padding: 8px 14px;
+            border-radius: 8px;
+            text-decoration: none;
+            font-size: 13px;
+            font-weight: 500;
+            opacity: 0;
+            transition: all 0.3s;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+        }
+        
+        .image-card:hover .download-btn {
+            opacity: 1;
+        }
+        
+        .download-btn:hover {
+            background: white;
+            transform: scale(1.05);
+        }
+        
+        /* 灯箱（升级版） */
+        .lightbox {
+            display: none;
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.97);
+            z-index: 9999;
+            justify-content: center;
+            align-items: center;
+            animation: fadeIn 0.3s;
+        }
+        
+        .lightbox.active {
+            display: flex;
+        }
+        
+        .lightbox-content {
+            position: relative;
+            max-width: 95%;
+            max-height: 95%;
+        }
+        
+        .lightbox img {
+            max-width: 100%;
+            max-height: 90vh;
+            object-fit: contain;
+            border-radius: 8px;
+            box-shadow: 0 20px 60px rgba(0,0,0,0.5);
+            transition: opacity 0.3s ease, transform 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+            touch-action: pan-y pinch-zoom; /* 允许垂直滚动和缩放 */
+            will-change: transform, opacity; /* 性能优化 */
+        }
+        
+        .lightbox-controls {
+            position: absolute;
+            top: 20px;
+            right: 20px;
+            display: flex;
+            gap: 12px;
+        }
+        
+        .lightbox-btn {
+            background: rgba(255,255,255,0.2);
+            backdrop-filter: blur(10px);
+            border: 1px solid rgba(255,255,255,0.3);
+            color: white;
+            width: 44px;
+            height: 44px;
+            border-radius: 50%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            cursor: pointer;
+            font-size: 20px;
+            transition: all 0.2s;
+        }
+        
+        .lightbox-btn:hover {
+            background: rgba(255,255,255,0.3);
+            transform: scale(1.1);
+        }
+        
+        .lightbox-nav {
+            position: absolute;
+            top: 50%;
+            transform: translateY(-50%);
+            background: rgba(255,255,255,0.2);
+            backdrop-filter: blur(10px);
+            border: 1px solid rgba(255,255,255,0.3);
+            color: white;
+            width: 50px;
+            height: 50px;
+            border-radius: 50%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            cursor: pointer;
+            font-size: 24px;
+            transition: all 0.2s;
+        }
+        
+        .lightbox-nav:hover {
+            background: rgba(255,255,255,0.3);
+        }
+        
+        .lightbox-prev { left: 30px; }
+        .lightbox-next { right: 30px; }
+        
+        .lightbox-counter {
+            position: absolute;
+            bottom: 30px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: rgba(0,0,0,0.6);
+            backdrop-filter: blur(10px);
+            color: white;
+            padding: 8px 20px;
+            border-radius: 20px;
+            font-size: 14px;
+        }
+        
+        .swipe-hint {
+            position: absolute;
+            bottom: 80px;
+            left: 50%;
+            transform: translateX(-50%);
+            color: rgba(255,255,255,0.8);
+            font-size: 13px;
+            display: none;
+            animation: fadeInOut 3s ease-in-out;
+        }
+        
+        /* 页脚 */
+        .footer {
+            text-align: center;
+            padding: 40px 20px;
+            color: var(--text-secondary);
+            font-size: 14px;
+        }
+        
+        .footer a {
+            color: var(--accent);
+            text-decoration: none;
+            font-weight: 500;
+            transition: opacity 0.2s;
+        }
+        
+        .footer a:hover {
+            opacity: 0.8;
+        }
+        
+        /* 加载动画 */
+        .loading {
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            z-index: 10000;
+        }
+        
+        .spinner {
+            width: 50px;
+            height: 50px;
+            border: 4px solid var(--border-color);
+            border-top-color: var(--accent);
+            border-radius: 50%;
+            animation: spin 1s linear infinite;
+        }
+        
+        @keyframes spin {
+            to { transform: rotate(360deg); }
+        }
+        
+        @keyframes fadeIn {
+            from { opacity: 0; }
+            to { opacity: 1; }
+        }
+        
+        @keyframes fadeInOut {
+            0%, 100% { opacity: 0; }
+            10%, 90% { opacity: 1; }
+        }
+        
+        /* 响应式 */
+        @media (max-width: 1200px) {
+            .gallery { column-count: 3; }
+        }
+        
+        @media (max-width: 768px) {
+            .gallery {
+                column-count: 2;
+                column-gap: 12px;
+            }
+            .header {
+                padding: 24px;
+            }
+            .header h1 {
+                font-size: 24px;
+            }
+            .meta {
+                gap: 12px;
+            }
+            .lightbox-nav {
+                width: 44px;
+                height: 44px;
+                font-size: 22px;
+                background: rgba(255,255,255,0.3);
+                /* 增强触摸目标大小 */
+            }
+            .lightbox-prev { left: 10px; }
+            .lightbox-next { right: 10px; }
+            .swipe-hint {
+                display: block; /* 移动端显示滑动提示 */
+            }
+        }
+        
+        @media (max-width: 480px) {
+            .top-bar {
+                flex-direction: column;
+            }
+            .btn {
+                width: 100%;
+                justify-content: center;
+            }
+            .btn-explore {
+                order: -1; /* 画廊广场按钮优先显示在最上方 */
+            }
+            .container {
+                padding: 12px;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <!-- 顶部控制栏 -->
+        <div class="top-bar">
+            <button class="btn btn-explore" onclick="window.location.href='/plaza'" title="探索更多精彩画廊">
+                🎨 画廊广场
+            </button>
+            <button class="btn" onclick="toggleTheme()">
+                <span id="theme-icon">🌙</span> 
+                <span id="theme-text">深色</span>
+            </button>
+            <button class="btn" onclick="shareGallery()">
+                🔗 分享
+            </button>
+            <button class="btn" onclick="downloadAllImages()" title="打包下载全部图片（ZIP）">
+                📦 下载全部
+            </button>
+        </div>
+
+        <!-- 头部信息 -->
+        <div class="header">
+            <h1>📸 ${title}</h1>
+            <div class="meta">
+                <a class="meta-item meta-link" href="/author/${encodeURIComponent(data.author || '未知')}" title="查看该作者的全部画廊">👤 ${author}</a>
+                <div class="meta-item">📅 ${createdDate}</div>
+                <div class="meta-item">🖼️ ${images.length} 张图片</div>
+                <div class="meta-item">${formatRemaining(getGalleryExpiresAt(data))}</div>
+            </div>
+            ${tags.length > 0 ? `
+            <div class="tag-list">
+                ${tags.map(tag => `<a class="tag-chip" href="/tag/${encodeURIComponent(tag)}">#${escapeHtml(tag)}</a>`).join('')}
+            </div>` : ''}
+            ${brokenCount > 0 ? `
+            <div class="broken-notice">⚠️ 部分图片已失效，暂时无法显示（${brokenCount} 张）</div>` : ''}
+        </div>
+
+        <!-- 瀑布流画廊 -->
+        <div class="gallery" id="gallery">
+            ${images.map((img, index) => `
+                <div class="image-card" onclick="openLightbox(${index})">
+                    <img src="${escapeHtml(img)}" alt="图片 ${index + 1}" loading="lazy">
+                    <div class="image-overlay">
+                        <div class="image-number">图片 ${index + 1}/${images.length}</div>
+                    </div>
+                    <a href="${escapeHtml(img)}" download="image-${index + 1}" class="download-btn" onclick="event.stopPropagation()">💾 下载</a>
+                </div>
+            `).join('')}
+        </div>
+
+        <!-- 页脚 -->
+        <div class="footer">
+            <p>🌍 全球可访问 · ⚡ 由 <a href="https://1yo.cc" target="_blank">Nebuluxe</a> 强力驱动</p>
+            <p style="margin-top: 12px; font-size: 12px; opacity: 0.7;">
+                支持 GIF 动图 · 深色模式 · 快捷键导航
+            </p>
+        </div>
+    </div>
+
+    <!-- 灯箱 -->
+    <div class="lightbox" id="lightbox">
+        <div class="lightbox-controls">
+            <div class="lightbox-btn" onclick="downloadCurrent()" title="下载当前图片">💾</div>
+            <div class="lightbox-btn" onclick="closeLightbox()" title="关闭">✕</div>
+        </div>
+        <div class="lightbox-nav lightbox-prev" onclick="navigateLightbox(-1)">‹</div>
+        <div class="lightbox-nav lightbox-next" onclick="navigateLightbox(1)">›</div>
+        <div class="lightbox-content">
+        <img id="lightbox-img" src="" alt="">
+        </div>
+        <div class="lightbox-counter" id="lightbox-counter">1 / ${images.length}</div>
+        <div class="swipe-hint">👆 左右滑动切换图片</div>
+    </div>
+
+    <script>
+        const images = ${JSON.stringify(images).replace(/</g, '\\u003c')};
+        let currentIndex = 0;
+        
+        // 深色模式切换
+        function toggleTheme() {
+            const html = document.documentElement;
+            const currentTheme = html.getAttribute('data-theme');
+            const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+            html.setAttribute('data-theme', newTheme);
+            
+            // 更新按钮文字
+            document.getElementById('theme-icon').textContent = newTheme === 'dark' ? '☀️' : '🌙';
+            document.getElementById('theme-text').textContent = newTheme === 'dark' ? '浅色' : '深色';
+            
+            // 保存偏好
+            localStorage.setItem('theme', newTheme);
+        }
+        
+        // 加载保存的主题偏好
+        (function() {
+            const savedTheme = localStorage.getItem('theme') || 'light';
+            if (savedTheme === 'dark') {
+                document.documentElement.setAttribute('data-theme', 'dark');
+                document.getElementById('theme-icon').textContent = '☀️';
+                document.getElementById('theme-text').textContent = '浅色';
+            }
+        })();
+        
+        // 分享功能
+        async function shareGallery() {
+            const url = ${JSON.stringify(shareUrl)};
+            const text = '${title} - ${images.length}张图片';
+            
+            if (navigator.share) {
+                try {
+                    await navigator.share({ title: text, url });
+                } catch (e) {
+                    copyToClipboard(url);
+                }
+            } else {
+                copyToClipboard(url);
+            }
+        }
+        
+        function copyToClipboard(text) {
+            const input = document.createElement('input');
+            input.value = text;
+            document.body.appendChild(input);
+            input.select();
+            document.execCommand('copy');
+            document.body.removeChild(input);
+            alert('链接已复制到剪贴板！');
+        }
+        
+        // 灯箱功能（增强版）
+        function openLightbox(index) {
+            currentIndex = index;
+            updateLightbox();
+            document.getElementById('lightbox').classList.add('active');
+            document.body.style.overflow = 'hidden';
+        }
+
+        function closeLightbox() {
+            document.getElementById('lightbox').classList.remove('active');
+            document.body.style.overflow = '';
+        }
+        
+        function navigateLightbox(direction) {
+            currentIndex = (currentIndex + direction + images.length) % images.length;
+            updateLightbox();
+        }
+        
+        function updateLightbox() {
+            const img = document.getElementById('lightbox-img');
+            
+            // 淡出效果
+            img.style.opacity = '0.3';
+            
+            // 延迟加载新图片
+            setTimeout(() => {
+                img.src = images[currentIndex];
+                img.style.transform = 'translateX(0)';
+                img.style.transition = 'opacity 0.3s ease, transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)';
+                img.style.opacity = '1';
+                
+                document.getElementById('lightbox-counter').textContent = 
+                    \`\${currentIndex + 1} / \${images.length}\`;
+            }, 100);
+        }
+        
+        function downloadCurrent() {
+            const link = document.createElement('a');
+            link.href = images[currentIndex];
+            link.download = \`image-\${currentIndex + 1}\`;
+            link.click();
+        }
+        
+        // 点击背景关闭灯箱
+        document.getElementById('lightbox').addEventListener('click', function(e) {
+            if (e.target === this) {
+                closeLightbox();
+            }
+        });
+        
+        // 键盘快捷键
+        document.addEventListener('keydown', (e) => {
+            const lightbox = document.getElementById('lightbox');
+            if (!lightbox.classList.contains('active')) return;
+            
+            switch(e.key) {
+                case 'Escape':
+                    closeLightbox();
+                    break;
+                case 'ArrowLeft':
+                    navigateLightbox(-1);
+                    break;
+                case 'ArrowRight':
+                    navigateLightbox(1);
+                    break;
+            }
+        });
+        
+        // 触摸滑动手势支持（移动端 - 优化版）
+        let touchStartX = 0;
+        let touchStartY = 0;
+        let currentTranslateX = 0;
+        let isDragging = false;
+        const minSwipeDistance = 50; // 最小滑动距离（像素）
+        const swipeThreshold = 0.3; // 滑动阈值（屏幕宽度的30%）
+        
+        const lightboxContent = document.querySelector('.lightbox-content');
+        const lightboxImg = document.getElementById('lightbox-img');
+        
+        // 禁用图片的默认拖拽行为
+        lightboxImg.style.userSelect = 'none';
+        lightboxImg.style.webkitUserSelect = 'none';
+        
+        lightboxImg.addEventListener('touchstart', (e) => {
+            touchStartX = e.touches[0].clientX;
+            touchStartY = e.touches[0].clientY;
+            isDragging = true;
+            lightboxImg.style.transition = 'none'; // 拖动时禁用过渡
+        }, { passive: true });
+        
+        lightboxImg.addEventListener('touchmove', (e) => {
+            if (!isDragging) return;
+            
+            const touchCurrentX = e.touches[0].clientX;
+            const touchCurrentY = e.touches[0].clientY;
+            const deltaX = touchCurrentX - touchStartX;
+            const deltaY = touchCurrentY - touchStartY;
+            
+            // 只有水平滑动才响应（防止与垂直滚动冲突）
+            if (Math.abs(deltaX) > Math.abs(deltaY)) {
+                currentTranslateX = deltaX;
+                // 添加阻尼效果（越拖越难）
+                const damping = 0.6;
+                lightboxImg.style.transform = \`translateX(\${deltaX * damping}px)\`;
+                lightboxImg.style.opacity = 1 - Math.abs(deltaX) / (window.innerWidth * 2);
+            }
+        }, { passive: true });
+        
+        lightboxImg.addEventListener('touchend', (e) => {
+            if (!isDragging) return;
+            isDragging = false;
+            
+            const touchEndX = e.changedTouches[0].clientX;
+            const touchEndY = e.changedTouches[0].clientY;
+            const deltaX = touchEndX - touchStartX;
+            const deltaY = touchEndY - touchStartY;
+            const swipeDistance = window.innerWidth * swipeThreshold;
+            
+            // 恢复过渡动画
+            lightboxImg.style.transition = 'transform 0.3s cubic-bezier(0.4, 0, 0.2, 1), opacity 0.3s ease';
+            
+            // 判断是否为水平滑动
+            if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > minSwipeDistance) {
+                if (Math.abs(deltaX) > swipeDistance) {
+                    // 达到阈值，切换图片
+                    if (deltaX > 0) {
+                        navigateLightbox(-1); // 向右滑 = 上一张
+                    } else {
+                        navigateLightbox(1);  // 向左滑 = 下一张
+                    }
+                } else {
+                    // 未达到阈值，回弹
+                    lightboxImg.style.transform = 'translateX(0)';
+                    lightboxImg.style.opacity = '1';
+                }
+            } else {
+                // 不是水平滑动，回弹
+                lightboxImg.style.transform = 'translateX(0)';
+                lightboxImg.style.opacity = '1';
+            }
+            
+            currentTranslateX = 0;
+        }, { passive: true });
+        
+        // 批量下载：由 Worker 实时打包为 ZIP
+        function downloadAllImages() {
+            window.location.href = ${JSON.stringify(`/gallery/${encodeURIComponent(data.id)}/download.zip${access ? `?${access}` : ''}`)};
+        }
+    </script>
+</body>
+</html>`;
+}
+
+// 404 页面
+function generateNotFoundHTML() {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>画廊不存在</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            height: 100vh;
+            margin: 0;
+            background: #f5f5f5;
+        }
+        .error-box {
+            text-align: center;
+            padding: 40px;
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        }
+        .error-box h1 {
+            font-size: 48px;
+            margin-bottom: 20px;
+        }
+        .error-box p {
+            color: #666;
+            font-size: 16px;
+        }
+    </style>
+</head>
+<body>
+    <div class="error-box">
+        <h1>404</h1>
+        <p>😔 画廊不存在或已过期</p>
+        <p style="margin-top: 20px; font-size: 14px;">画廊到期后会自动删除</p>
+    </div>
+</body>
+</html>`;
 }
 
-// 获取日期键（UTC）
-function getDateKey() {
-    const now = new Date();
-    const year = now.getUTCFullYear();
-    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(now.getUTCDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+// 画廊密码输入页（私密画廊的 ?share= 随表单带上）
+function generatePasswordHTML(data, share = '', errorMsg = '') {
+    const action = `/gallery/${encodeURIComponent(data.id)}/unlock${share ? `?share=${encodeURIComponent(share)}` : ''}`;
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>需要密码 - 图集画廊</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            height: 100vh;
+            margin: 0;
+            background: #f5f5f5;
+        }
+        .error-box {
+            text-align: center;
+            padding: 40px;
+            width: 300px;
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        }
+        .error-box h1 {
+            font-size: 48px;
+            margin: 0 0 20px;
+        }
+        .error-box p {
+            color: #666;
+            font-size: 16px;
+        }
+        .error-box .error {
+            color: #e53935;
+            font-size: 14px;
+        }
+        .error-box input,
+        .error-box button {
+            width: 100%;
+            box-sizing: border-box;
+            padding: 10px;
+            margin-top: 12px;
+            border-radius: 8px;
+            font-size: 15px;
+        }
+        .error-box input {
+            border: 1px solid #ddd;
+        }
+        .error-box button {
+            border: none;
+            background: #667eea;
+            color: white;
+            cursor: pointer;
+        }
+    </style>
+</head>
+<body>
+    <div class="error-box">
+        <h1>🔒</h1>
+        <p>「${escapeHtml(data.title || '图集')}」需要密码才能查看</p>
+        ${errorMsg ? `<p class="error">${escapeHtml(errorMsg)}</p>` : ''}
+        <form action="${escapeHtml(action)}" method="post">
+            <input type="password" name="password" placeholder="请输入密码" autocomplete="current-password" required autofocus>
+            <button type="submit">查看画廊</button>
+        </form>
+    </div>
+</body>
+</html>`;
 }
 
-// 增加今日配额计数
-async function incrementDailyQuota(env) {
-    const todayKey = `quota:${getDateKey()}`;
-    const current = parseInt(await env.KV.get(todayKey) || '0');
-    await env.KV.put(todayKey, String(current + 1), {
-        expirationTtl: 86400 // 24小时过期
-    });
+// 对外展示的站点地址：配置了 PUBLIC_URL 时优先使用（如自定义域名）
+function getPublicOrigin(env, url) {
+    return env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/+$/, '') : url.origin;
 }
 
-// CORS 处理
-function handleCORS() {
-    return new Response(null, {
-        headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        }
-    });
+// HTML 转义
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, m => map[m]);
 }
 
-// 生成画廊 HTML（精美升级版）
-function generateGalleryHTML(data) {
-    const images = data.images || [];
-    const title = escapeHtml(data.title || '图集');
-    const author = escapeHtml(data.author || '未知');
-    const createdDate = new Date(data.created).toLocaleDateString('zh-CN');
+// 生成画廊广场页面
+// options: { cursor, hasMore, apiUrl, params } 用于无限滚动续读下一页
+//          params 为附加在分页请求上的筛选参数；query/author/tag 为当前筛选条件
+//          proxyHosts 为开启图片代理的图床
+function generatePlazaHTML(galleries, options = {}) {
+    const totalCount = galleries.length;
+    const { cursor = null, hasMore = false, apiUrl = '/api/plaza', params = {}, query = '', author = '', tag = '', proxyHosts = [] } = options;
+    const pageTitle = author ? `${escapeHtml(author)} 的画廊` :
+                      tag ? `#${escapeHtml(tag)}` :
+                      '画廊广场';
+    const navbarTitle = author ? `👤 ${pageTitle}` : tag ? `🏷️ ${pageTitle}` : '🎨 画廊广场';
 
+    // 统计区说明文字（描述当前的搜索/筛选条件）
+    const filterLabels = [];
+    if (query) filterLabels.push(`匹配“${escapeHtml(query)}”`);
+    if (author) filterLabels.push(`来自 ${escapeHtml(author)}`);
+    if (tag) filterLabels.push(`带有标签 #${escapeHtml(tag)}`);
+    const statsLabel = filterLabels.length > 0 ?
+        `个画廊${filterLabels.join('，')} · <a href="/plaza">查看全部</a>` :
+        '精彩画廊等你探索';
+    const countText = `${totalCount}${hasMore ? '+' : ''}`;
+    const filterQuery = new URLSearchParams(params).toString();
+    const pageApiUrl = filterQuery ? `${apiUrl}?${filterQuery}` : apiUrl;
+    const moreHref = `?${filterQuery ? `${filterQuery}&` : ''}cursor=${encodeURIComponent(cursor || '')}`;
+    const feedQuery = author ? `?author=${encodeURIComponent(author)}` : tag ? `?tag=${encodeURIComponent(tag)}` : '';
+    
     return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title} - 图集画廊</title>
+    <title>${pageTitle} - Gallery Plaza</title>
+    <link rel="alternate" type="application/atom+xml" title="${pageTitle}" href="/feed.xml${feedQuery}">
+    <link rel="alternate" type="application/rss+xml" title="${pageTitle}" href="/rss.xml${feedQuery}">
     <style>
         :root {
-            --bg-primary: #f8f9fa;
+            --bg-primary: #fafafa;
             --bg-secondary: #ffffff;
             --text-primary: #1a1a1a;
             --text-secondary: #666;
+            --text-tertiary: #999;
             --border-color: #e0e0e0;
             --shadow: 0 2px 12px rgba(0,0,0,0.08);
             --shadow-hover: 0 8px 24px rgba(0,0,0,0.12);
-            --accent: #007bff;
+            --accent: #667eea;
             --radius: 16px;
         }
         
         [data-theme="dark"] {
-            --bg-primary: #1a1a1a;
-            --bg-secondary: #2d2d2d;
+            --bg-primary: #0a0a0a;
+            --bg-secondary: #1a1a1a;
             --text-primary: #e8e8e8;
             --text-secondary: #aaa;
-            --border-color: #404040;
+            --text-tertiary: #666;
+            --border-color: #2d2d2d;
             --shadow: 0 2px 12px rgba(0,0,0,0.3);
             --shadow-hover: 0 8px 24px rgba(0,0,0,0.5);
+            --accent: #8b9efc;
         }
         
         * { 
@@ -374,106 +4290,132 @@ function generateGalleryHTML(data) {
             transition: background 0.3s ease, color 0.3s ease;
         }
         
-        .container {
+        /* 顶部导航栏 */
+        .navbar {
+            position: sticky;
+            top: 0;
+            background: var(--bg-secondary);
+            border-bottom: 1px solid var(--border-color);
+            padding: 16px 0;
+            z-index: 100;
+            backdrop-filter: blur(10px);
+            box-shadow: var(--shadow);
+        }
+        
+        .navbar-content {
             max-width: 1400px;
             margin: 0 auto;
-            padding: 20px;
+            padding: 0 20px;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
         }
         
-        /* 顶部栏 */
-        .top-bar {
+        .navbar-title {
+            font-size: 24px;
+            font-weight: 700;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            -webkit-background-clip: text;
+            -webkit-text-fill-color: transparent;
+            background-clip: text;
+        }
+        
+        .navbar-subtitle {
+            font-size: 14px;
+            color: var(--text-secondary);
+            margin-left: 12px;
+        }
+        
+        .navbar-actions {
             display: flex;
-            justify-content: flex-end;
             gap: 12px;
-            margin-bottom: 20px;
         }
         
         .btn {
-            background: var(--bg-secondary);
+            background: var(--bg-primary);
+            border: 1px solid var(--border-color);
+            padding: 8px 16px;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 14px;
+            color: var(--text-primary);
+            transition: all 0.2s;
+            display: flex;
+            align-items: center;
+            gap: 6px;
+        }
+        
+        .btn:hover {
+            transform: translateY(-2px);
+            box-shadow: var(--shadow);
+        }
+        
+        /* 搜索框 */
+        .search-form {
+            display: flex;
+            gap: 6px;
+        }
+        
+        .search-input {
+            background: var(--bg-primary);
             border: 1px solid var(--border-color);
-            padding: 10px 20px;
-            border-radius: 10px;
-            cursor: pointer;
+            padding: 8px 14px;
+            border-radius: 8px;
             font-size: 14px;
             color: var(--text-primary);
-            transition: all 0.2s;
-            display: flex;
-            align-items: center;
-            gap: 6px;
-            box-shadow: var(--shadow);
+            width: 200px;
+            outline: none;
+            transition: border-color 0.2s;
         }
         
-        .btn:hover {
-            transform: translateY(-2px);
-            box-shadow: var(--shadow-hover);
+        .search-input:focus {
+            border-color: var(--accent);
         }
         
-        /* 画廊广场按钮特殊样式 */
-        .btn-explore {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            border: none;
-            font-weight: 500;
+        .stats-label a {
+            color: var(--accent);
+            text-decoration: none;
         }
         
-        .btn-explore:hover {
-            background: linear-gradient(135deg, #5568d3 0%, #6a4091 100%);
-            transform: translateY(-2px) scale(1.05);
+        /* 容器 */
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            padding: 30px 20px;
         }
         
-        /* 头部 */
-        .header {
+        /* 统计信息 */
+        .stats {
+            text-align: center;
+            margin-bottom: 40px;
+            padding: 30px;
             background: var(--bg-secondary);
-            padding: 40px;
             border-radius: var(--radius);
             box-shadow: var(--shadow);
-            margin-bottom: 30px;
-            position: relative;
-            overflow: hidden;
-        }
-        
-        .header::before {
-            content: '';
-            position: absolute;
-            top: 0;
-            left: 0;
-            right: 0;
-            height: 4px;
-            background: linear-gradient(90deg, #667eea 0%, #764ba2 100%);
         }
         
-        .header h1 {
-            font-size: 32px;
-            margin-bottom: 20px;
-            color: var(--text-primary);
+        .stats-number {
+            font-size: 48px;
             font-weight: 700;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            -webkit-background-clip: text;
+            -webkit-text-fill-color: transparent;
+            background-clip: text;
+            margin-bottom: 8px;
         }
         
-        .meta {
-            display: flex;
-            gap: 24px;
-            flex-wrap: wrap;
+        .stats-label {
+            font-size: 16px;
             color: var(--text-secondary);
-            font-size: 14px;
-        }
-        
-        .meta-item {
-            display: flex;
-            align-items: center;
-            gap: 6px;
-            padding: 6px 12px;
-            background: var(--bg-primary);
-            border-radius: 8px;
         }
         
         /* 瀑布流画廊 */
-        .gallery {
+        .plaza-gallery {
             column-count: 4;
             column-gap: 20px;
-            margin-bottom: 40px;
         }
         
-        .image-card {
+        .gallery-card {
             background: var(--bg-secondary);
             border-radius: var(--radius);
             overflow: hidden;
@@ -485,368 +4427,392 @@ function generateGalleryHTML(data) {
             position: relative;
         }
         
-        .image-card:hover {
-            transform: translateY(-6px) scale(1.02);
+        .gallery-card:hover {
+            transform: translateY(-8px);
             box-shadow: var(--shadow-hover);
         }
         
-        .image-card img {
+        /* 🎨 主题色样式 */
+        .gallery-card.has-theme {
+            border: 2px solid transparent;
+            background: linear-gradient(var(--bg-secondary), var(--bg-secondary)) padding-box,
+                        linear-gradient(135deg, var(--theme-primary, #6366f1), var(--theme-accent, #8b5cf6)) border-box;
+            position: relative;
+        }
+        
+        .gallery-card.has-theme:hover {
+            box-shadow: 0 20px 60px -15px var(--theme-primary), 
+                        0 0 0 1px var(--theme-primary);
+            transform: translateY(-10px);
+        }
+        
+        .gallery-card.has-theme .gif-badge {
+            background: linear-gradient(135deg, var(--theme-primary), var(--theme-accent));
+            border: none;
+        }
+        
+        .gallery-card.has-theme .card-time {
+            background: linear-gradient(135deg, var(--theme-primary), var(--theme-accent));
+            -webkit-background-clip: text;
+            -webkit-text-fill-color: transparent;
+            background-clip: text;
+            font-weight: 600;
+        }
+        
+        /* 封面拼图 */
+        .card-cover {
+            position: relative;
             width: 100%;
-            display: block;
-            transition: transform 0.3s;
+            overflow: hidden;
+            background: var(--bg-primary);
         }
         
-        .image-card:hover img {
-            transform: scale(1.05);
+        .cover-grid {
+            display: grid;
+            gap: 2px;
         }
         
-        .image-overlay {
-            position: absolute;
-            bottom: 0;
-            left: 0;
-            right: 0;
-            background: linear-gradient(to top, rgba(0,0,0,0.7), transparent);
-            padding: 20px 15px 15px;
-            transform: translateY(100%);
+        .cover-grid-2 {
+            grid-template-columns: 1fr 1fr;
+        }
+        
+        /* 2图布局：左右对半 */
+        .cover-grid-2 .cover-img {
+            height: 200px;
+        }
+        
+        .cover-grid-3 {
+            grid-template-columns: 1fr 1fr;
+            grid-template-rows: 2fr 1fr;
+        }
+        
+        .cover-grid-3 img:first-child {
+            grid-column: 1 / 3;
+        }
+        
+        .cover-grid-4 {
+            grid-template-columns: 1fr 1fr;
+            grid-template-rows: 1fr 1fr;
+        }
+        
+        .cover-img {
+            width: 100%;
+            height: 180px;
+            object-fit: cover;
             transition: transform 0.3s;
-            color: white;
         }
         
-        .image-card:hover .image-overlay {
-            transform: translateY(0);
+        /* 单图：大图展示 */
+        .card-cover img.cover-img:only-child {
+            height: 300px;
+            object-fit: cover;
         }
         
-        .image-number {
-            font-size: 13px;
-            font-weight: 500;
+        /* 3图布局：1大2小 */
+        .cover-grid-3 .cover-img:first-child {
+            height: 240px;
         }
         
-        .download-btn {
-            position: absolute;
-            top: 12px;
-            right: 12px;
-            background: rgba(255,255,255,0.95);
-            backdrop-filter: blur(10px);
-            color: #333;
-            padding: 8px 14px;
-            border-radius: 8px;
-            text-decoration: none;
-            font-size: 13px;
-            font-weight: 500;
-            opacity: 0;
-            transition: all 0.3s;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+        .cover-grid-3 .cover-img:not(:first-child) {
+            height: 120px;
         }
         
-        .image-card:hover .download-btn {
-            opacity: 1;
+        /* 4图网格：标准高度 */
+        .cover-grid-4 .cover-img {
+            height: 150px;
         }
         
-        .download-btn:hover {
-            background: white;
-            transform: scale(1.05);
+        /* 新增：大横图单图（Hero布局）*/
+        .cover-hero .cover-img {
+            height: 320px;
+            object-fit: cover;
         }
         
-        /* 灯箱（升级版） */
-        .lightbox {
-            display: none;
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0,0,0,0.97);
-            z-index: 9999;
-            justify-content: center;
-            align-items: center;
-            animation: fadeIn 0.3s;
+        /* 新增：3竖图横排（Triple布局）*/
+        .cover-grid-triple {
+            grid-template-columns: 1fr 1fr 1fr;
         }
         
-        .lightbox.active {
-            display: flex;
+        .cover-grid-triple .cover-img {
+            height: 260px;
+            object-fit: cover;
         }
         
-        .lightbox-content {
-            position: relative;
-            max-width: 95%;
-            max-height: 95%;
+        .gallery-card:hover .cover-img {
+            transform: scale(1.05);
         }
         
-        .lightbox img {
-            max-width: 100%;
-            max-height: 90vh;
-            object-fit: contain;
-            border-radius: 8px;
-            box-shadow: 0 20px 60px rgba(0,0,0,0.5);
-            transition: opacity 0.3s ease, transform 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-            touch-action: pan-y pinch-zoom; /* 允许垂直滚动和缩放 */
-            will-change: transform, opacity; /* 性能优化 */
+        /* GIF 标识 */
+        .gif-badge {
+            position: absolute;
+            top: 12px;
+            right: 12px;
+            background: rgba(0,0,0,0.8);
+            backdrop-filter: blur(10px);
+            color: white;
+            padding: 4px 12px;
+            border-radius: 20px;
+            font-size: 12px;
+            font-weight: 600;
+            display: flex;
+            align-items: center;
+            gap: 4px;
+        }
+        
+        /* 卡片信息 */
+        .card-info {
+            padding: 16px;
         }
         
-        .lightbox-controls {
-            position: absolute;
-            top: 20px;
-            right: 20px;
+        .card-title {
+            font-size: 16px;
+            font-weight: 600;
+            color: var(--text-primary);
+            margin-bottom: 8px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        
+        .card-meta {
             display: flex;
             gap: 12px;
+            font-size: 13px;
+            color: var(--text-secondary);
+            flex-wrap: wrap;
         }
         
-        .lightbox-btn {
-            background: rgba(255,255,255,0.2);
-            backdrop-filter: blur(10px);
-            border: 1px solid rgba(255,255,255,0.3);
-            color: white;
-            width: 44px;
-            height: 44px;
-            border-radius: 50%;
+        .card-meta-item {
             display: flex;
             align-items: center;
-            justify-content: center;
-            cursor: pointer;
-            font-size: 20px;
-            transition: all 0.2s;
+            gap: 4px;
         }
         
-        .lightbox-btn:hover {
-            background: rgba(255,255,255,0.3);
-            transform: scale(1.1);
+        .card-author {
+            color: inherit;
+            text-decoration: none;
         }
         
-        .lightbox-nav {
-            position: absolute;
-            top: 50%;
-            transform: translateY(-50%);
-            background: rgba(255,255,255,0.2);
-            backdrop-filter: blur(10px);
-            border: 1px solid rgba(255,255,255,0.3);
-            color: white;
-            width: 50px;
-            height: 50px;
-            border-radius: 50%;
+        /* 标签 */
+        .tag-list {
             display: flex;
-            align-items: center;
-            justify-content: center;
-            cursor: pointer;
-            font-size: 24px;
-            transition: all 0.2s;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-top: 8px;
         }
         
-        .lightbox-nav:hover {
-            background: rgba(255,255,255,0.3);
+        .tag-chip {
+            font-size: 12px;
+            padding: 2px 10px;
+            border-radius: 20px;
+            background: var(--bg-primary);
+            border: 1px solid var(--border-color);
+            color: var(--text-secondary);
+            text-decoration: none;
+            transition: all 0.2s;
         }
         
-        .lightbox-prev { left: 30px; }
-        .lightbox-next { right: 30px; }
+        .tag-chip:hover {
+            color: var(--accent);
+            border-color: var(--accent);
+        }
         
-        .lightbox-counter {
-            position: absolute;
-            bottom: 30px;
-            left: 50%;
-            transform: translateX(-50%);
-            background: rgba(0,0,0,0.6);
-            backdrop-filter: blur(10px);
-            color: white;
-            padding: 8px 20px;
-            border-radius: 20px;
-            font-size: 14px;
+        .card-author:hover {
+            color: var(--accent);
+            text-decoration: underline;
         }
         
-        .swipe-hint {
-            position: absolute;
-            bottom: 80px;
-            left: 50%;
-            transform: translateX(-50%);
-            color: rgba(255,255,255,0.8);
-            font-size: 13px;
-            display: none;
-            animation: fadeInOut 3s ease-in-out;
+        .card-time {
+            font-size: 12px;
+            color: var(--text-tertiary);
+            margin-top: 6px;
         }
         
-        /* 页脚 */
-        .footer {
+        /* 加载更多 */
+        .load-more {
+            display: block;
             text-align: center;
-            padding: 40px 20px;
+            padding: 30px 20px;
             color: var(--text-secondary);
             font-size: 14px;
+            text-decoration: none;
         }
         
-        .footer a {
+        .load-more:hover {
             color: var(--accent);
-            text-decoration: none;
-            font-weight: 500;
-            transition: opacity 0.2s;
         }
         
-        .footer a:hover {
-            opacity: 0.8;
+        /* 空状态 */
+        .empty-state {
+            text-align: center;
+            padding: 80px 20px;
+            color: var(--text-secondary);
         }
         
-        /* 加载动画 */
-        .loading {
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            z-index: 10000;
+        .empty-state-icon {
+            font-size: 64px;
+            margin-bottom: 20px;
+            opacity: 0.5;
         }
         
-        .spinner {
-            width: 50px;
-            height: 50px;
-            border: 4px solid var(--border-color);
-            border-top-color: var(--accent);
-            border-radius: 50%;
-            animation: spin 1s linear infinite;
+        /* 广场页脚 */
+        .plaza-footer {
+            text-align: center;
+            padding: 60px 20px 40px;
+            color: var(--text-secondary);
+            border-top: 1px solid var(--border-color);
+            margin-top: 80px;
+            background: var(--bg-secondary);
         }
         
-        @keyframes spin {
-            to { transform: rotate(360deg); }
+        .plaza-footer p {
+            margin: 0;
+            font-size: 14px;
         }
         
-        @keyframes fadeIn {
-            from { opacity: 0; }
-            to { opacity: 1; }
+        .plaza-footer a {
+            color: var(--accent);
+            text-decoration: none;
+            font-weight: 600;
+            transition: all 0.2s;
         }
         
-        @keyframes fadeInOut {
-            0%, 100% { opacity: 0; }
-            10%, 90% { opacity: 1; }
+        .plaza-footer a:hover {
+            color: #667eea;
+            text-decoration: underline;
         }
         
         /* 响应式 */
         @media (max-width: 1200px) {
-            .gallery { column-count: 3; }
+            .plaza-gallery { column-count: 3; }
         }
         
         @media (max-width: 768px) {
-            .gallery {
-                column-count: 2;
+            .plaza-gallery { 
+                column-count: 2; 
                 column-gap: 12px;
             }
-            .header {
-                padding: 24px;
+            .navbar-title {
+                font-size: 20px;
             }
-            .header h1 {
-                font-size: 24px;
+            .navbar-subtitle {
+                display: none;
             }
-            .meta {
-                gap: 12px;
+            .stats-number {
+                font-size: 36px;
             }
-            .lightbox-nav {
-                width: 44px;
-                height: 44px;
-                font-size: 22px;
-                background: rgba(255,255,255,0.3);
-                /* 增强触摸目标大小 */
+            .cover-img {
+                height: 150px;
             }
-            .lightbox-prev { left: 10px; }
-            .lightbox-next { right: 10px; }
-            .swipe-hint {
-                display: block; /* 移动端显示滑动提示 */
+            .cover-grid-3 .cover-img:first-child {
+                height: 200px;
+            }
+            .cover-grid-3 .cover-img:not(:first-child) {
+                height: 100px;
+            }
+            /* Hero布局移动端优化 */
+            .cover-hero .cover-img {
+                height: 240px;
+            }
+            /* Triple布局移动端优化 */
+            .cover-grid-triple .cover-img {
+                height: 200px;
             }
         }
         
         @media (max-width: 480px) {
-            .top-bar {
-                flex-direction: column;
-            }
-            .btn {
-                width: 100%;
-                justify-content: center;
+            .container {
+                padding: 20px 12px;
             }
-            .btn-explore {
-                order: -1; /* 画廊广场按钮优先显示在最上方 */
+            .navbar-content {
+                flex-wrap: wrap;
+                gap: 12px;
             }
-            .container {
-                padding: 12px;
+            .search-input {
+                width: 140px;
             }
         }
     </style>
 </head>
 <body>
-    <div class="container">
-        <!-- 顶部控制栏 -->
-        <div class="top-bar">
-            <button class="btn btn-explore" onclick="window.location.href='/plaza'" title="探索更多精彩画廊">
-                🎨 画廊广场
-            </button>
-            <button class="btn" onclick="toggleTheme()">
-                <span id="theme-icon">🌙</span> 
-                <span id="theme-text">深色</span>
-            </button>
-            <button class="btn" onclick="shareGallery()">
-                🔗 分享
-            </button>
-        </div>
-
-        <!-- 头部信息 -->
-        <div class="header">
-            <h1>📸 ${title}</h1>
-            <div class="meta">
-                <div class="meta-item">👤 ${author}</div>
-                <div class="meta-item">📅 ${createdDate}</div>
-                <div class="meta-item">🖼️ ${images.length} 张图片</div>
-                <div class="meta-item">⏰ 30天有效</div>
+    <!-- 导航栏 -->
+    <nav class="navbar">
+        <div class="navbar-content">
+            <div style="display: flex; align-items: center;">
+                <div class="navbar-title">${navbarTitle}</div>
+                <span class="navbar-subtitle">探索 <span class="loaded-count">${countText}</span> 个精彩画廊</span>
+            </div>
+            <div class="navbar-actions">
+                <form class="search-form" action="/plaza" method="get" role="search">
+                    <input class="search-input" type="search" name="q" value="${escapeHtml(query)}"
+                           placeholder="${tag ? `在 #${escapeHtml(tag)} 中搜索` : '搜索标题、作者或 #标签'}" aria-label="搜索标题、作者或标签">
+                    ${tag ? `<input type="hidden" name="tag" value="${escapeHtml(tag)}">` : ''}
+                    <button class="btn" type="submit">🔍</button>
+                </form>
+                <button class="btn" onclick="toggleTheme()">
+                    <span id="theme-icon">🌙</span>
+                    <span id="theme-text">深色</span>
+                </button>
+                <a class="btn" href="/feed.xml${feedQuery}" title="订阅（Atom）" style="text-decoration: none;">
+                    📡 订阅
+                </a>
+                <button class="btn" onclick="window.location.reload()">
+                    🔄 刷新
+                </button>
             </div>
         </div>
+    </nav>
 
-        <!-- 瀑布流画廊 -->
-        <div class="gallery" id="gallery">
-            ${images.map((img, index) => `
-                <div class="image-card" onclick="openLightbox(${index})">
-                    <img src="${escapeHtml(img)}" alt="图片 ${index + 1}" loading="lazy">
-                    <div class="image-overlay">
-                        <div class="image-number">图片 ${index + 1}/${images.length}</div>
-                    </div>
-                    <a href="${escapeHtml(img)}" download="image-${index + 1}" class="download-btn" onclick="event.stopPropagation()">💾 下载</a>
-                </div>
-            `).join('')}
-        </div>
-
-        <!-- 页脚 -->
-        <div class="footer">
-            <p>🌍 全球可访问 · ⚡ 由 <a href="https://1yo.cc" target="_blank">Nebuluxe</a> 强力驱动</p>
-            <p style="margin-top: 12px; font-size: 12px; opacity: 0.7;">
-                支持 GIF 动图 · 深色模式 · 快捷键导航
-            </p>
+    <div class="container">
+        <!-- 统计信息 -->
+        <div class="stats">
+            <div class="stats-number loaded-count">${countText}</div>
+            <div class="stats-label">${statsLabel}</div>
         </div>
-    </div>
 
-    <!-- 灯箱 -->
-    <div class="lightbox" id="lightbox">
-        <div class="lightbox-controls">
-            <div class="lightbox-btn" onclick="downloadCurrent()" title="下载当前图片">💾</div>
-            <div class="lightbox-btn" onclick="closeLightbox()" title="关闭">✕</div>
+        <!-- 画廊网格 -->
+        ${totalCount > 0 || hasMore ? `
+        <div class="plaza-gallery">
+            ${galleries.map(gallery => generateGalleryCard(gallery, proxyHosts)).join('')}
         </div>
-        <div class="lightbox-nav lightbox-prev" onclick="navigateLightbox(-1)">‹</div>
-        <div class="lightbox-nav lightbox-next" onclick="navigateLightbox(1)">›</div>
-        <div class="lightbox-content">
-        <img id="lightbox-img" src="" alt="">
+        ${hasMore ? `
+        <a class="load-more" id="load-more" href="${escapeHtml(moreHref)}"
+           data-cursor="${escapeHtml(cursor)}" data-api="${escapeHtml(pageApiUrl)}" data-count="${totalCount}">
+            ⬇️ 加载更多
+        </a>
+        ` : ''}
+        ` : `
+        <div class="empty-state">
+            <div class="empty-state-icon">${query ? '🔍' : '📭'}</div>
+            <h3>${query ? '没有找到匹配的画廊' : '暂无画廊'}</h3>
+            <p style="margin-top: 8px;">${query ? '换个关键词试试吧' : '快去创建第一个画廊吧！'}</p>
         </div>
-        <div class="lightbox-counter" id="lightbox-counter">1 / ${images.length}</div>
-        <div class="swipe-hint">👆 左右滑动切换图片</div>
+        `}
+    </div>
+
+    <!-- 页脚 -->
+    <div class="plaza-footer">
+        <p>🌍 全球可访问 · ⚡ 由 <a href="https://1yo.cc" target="_blank" rel="noopener noreferrer">Nebuluxe</a> 强力驱动</p>
+        <p style="margin-top: 12px; font-size: 12px; opacity: 0.7;">
+            探索精彩画廊 · 深色模式 · 实时更新
+        </p>
     </div>
 
     <script>
-        const images = ${JSON.stringify(images)};
-        let currentIndex = 0;
-        
-        // 深色模式切换
+        // 深色模式
         function toggleTheme() {
             const html = document.documentElement;
             const currentTheme = html.getAttribute('data-theme');
             const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
             html.setAttribute('data-theme', newTheme);
             
-            // 更新按钮文字
             document.getElementById('theme-icon').textContent = newTheme === 'dark' ? '☀️' : '🌙';
             document.getElementById('theme-text').textContent = newTheme === 'dark' ? '浅色' : '深色';
             
-            // 保存偏好
             localStorage.setItem('theme', newTheme);
         }
         
-        // 加载保存的主题偏好
+        // 加载保存的主题
         (function() {
             const savedTheme = localStorage.getItem('theme') || 'light';
             if (savedTheme === 'dark') {
@@ -856,195 +4822,274 @@ function generateGalleryHTML(data) {
             }
         })();
         
-        // 分享功能
-        async function shareGallery() {
-            const url = window.location.href;
-            const text = '${title} - ${images.length}张图片';
-            
-            if (navigator.share) {
-                try {
-                    await navigator.share({ title: text, url });
-                } catch (e) {
-                    copyToClipboard(url);
-                }
-            } else {
-                copyToClipboard(url);
-            }
-        }
-        
-        function copyToClipboard(text) {
-            const input = document.createElement('input');
-            input.value = text;
-            document.body.appendChild(input);
-            input.select();
-            document.execCommand('copy');
-            document.body.removeChild(input);
-            alert('链接已复制到剪贴板！');
-        }
-        
-        // 灯箱功能（增强版）
-        function openLightbox(index) {
-            currentIndex = index;
-            updateLightbox();
-            document.getElementById('lightbox').classList.add('active');
-            document.body.style.overflow = 'hidden';
-        }
-
-        function closeLightbox() {
-            document.getElementById('lightbox').classList.remove('active');
-            document.body.style.overflow = '';
-        }
-        
-        function navigateLightbox(direction) {
-            currentIndex = (currentIndex + direction + images.length) % images.length;
-            updateLightbox();
-        }
-        
-        function updateLightbox() {
-            const img = document.getElementById('lightbox-img');
-            
-            // 淡出效果
-            img.style.opacity = '0.3';
-            
-            // 延迟加载新图片
-            setTimeout(() => {
-                img.src = images[currentIndex];
-                img.style.transform = 'translateX(0)';
-                img.style.transition = 'opacity 0.3s ease, transform 0.3s cubic-bezier(0.4, 0, 0.2, 1)';
-                img.style.opacity = '1';
-                
-                document.getElementById('lightbox-counter').textContent = 
-                    \`\${currentIndex + 1} / \${images.length}\`;
-            }, 100);
-        }
-        
-        function downloadCurrent() {
-            const link = document.createElement('a');
-            link.href = images[currentIndex];
-            link.download = \`image-\${currentIndex + 1}\`;
-            link.click();
+        // 点击卡片跳转
+        function openGallery(id) {
+            window.location.href = \`/gallery/\${id}\`;
         }
         
-        // 点击背景关闭灯箱
-        document.getElementById('lightbox').addEventListener('click', function(e) {
-            if (e.target === this) {
-                closeLightbox();
-            }
-        });
-        
-        // 键盘快捷键
-        document.addEventListener('keydown', (e) => {
-            const lightbox = document.getElementById('lightbox');
-            if (!lightbox.classList.contains('active')) return;
-            
-            switch(e.key) {
-                case 'Escape':
-                    closeLightbox();
-                    break;
-                case 'ArrowLeft':
-                    navigateLightbox(-1);
-                    break;
-                case 'ArrowRight':
-                    navigateLightbox(1);
-                    break;
-            }
-        });
-        
-        // 触摸滑动手势支持（移动端 - 优化版）
-        let touchStartX = 0;
-        let touchStartY = 0;
-        let currentTranslateX = 0;
-        let isDragging = false;
-        const minSwipeDistance = 50; // 最小滑动距离（像素）
-        const swipeThreshold = 0.3; // 滑动阈值（屏幕宽度的30%）
-        
-        const lightboxContent = document.querySelector('.lightbox-content');
-        const lightboxImg = document.getElementById('lightbox-img');
-        
-        // 禁用图片的默认拖拽行为
-        lightboxImg.style.userSelect = 'none';
-        lightboxImg.style.webkitUserSelect = 'none';
-        
-        lightboxImg.addEventListener('touchstart', (e) => {
-            touchStartX = e.touches[0].clientX;
-            touchStartY = e.touches[0].clientY;
-            isDragging = true;
-            lightboxImg.style.transition = 'none'; // 拖动时禁用过渡
-        }, { passive: true });
-        
-        lightboxImg.addEventListener('touchmove', (e) => {
-            if (!isDragging) return;
-            
-            const touchCurrentX = e.touches[0].clientX;
-            const touchCurrentY = e.touches[0].clientY;
-            const deltaX = touchCurrentX - touchStartX;
-            const deltaY = touchCurrentY - touchStartY;
-            
-            // 只有水平滑动才响应（防止与垂直滚动冲突）
-            if (Math.abs(deltaX) > Math.abs(deltaY)) {
-                currentTranslateX = deltaX;
-                // 添加阻尼效果（越拖越难）
-                const damping = 0.6;
-                lightboxImg.style.transform = \`translateX(\${deltaX * damping}px)\`;
-                lightboxImg.style.opacity = 1 - Math.abs(deltaX) / (window.innerWidth * 2);
-            }
-        }, { passive: true });
-        
-        lightboxImg.addEventListener('touchend', (e) => {
-            if (!isDragging) return;
-            isDragging = false;
+        // 无限滚动：滚动到底部时按 cursor 加载下一页
+        (function() {
+            const loadMore = document.getElementById('load-more');
+            if (!loadMore) return;
             
-            const touchEndX = e.changedTouches[0].clientX;
-            const touchEndY = e.changedTouches[0].clientY;
-            const deltaX = touchEndX - touchStartX;
-            const deltaY = touchEndY - touchStartY;
-            const swipeDistance = window.innerWidth * swipeThreshold;
+            const grid = document.querySelector('.plaza-gallery');
+            const apiUrl = loadMore.dataset.api;
+            let cursor = loadMore.dataset.cursor;
+            let loadedCount = parseInt(loadMore.dataset.count) || 0;
+            let loading = false;
             
-            // 恢复过渡动画
-            lightboxImg.style.transition = 'transform 0.3s cubic-bezier(0.4, 0, 0.2, 1), opacity 0.3s ease';
+            const observer = new IntersectionObserver((entries) => {
+                if (entries[0].isIntersecting) loadNextPage();
+            }, { rootMargin: '600px' });
             
-            // 判断是否为水平滑动
-            if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > minSwipeDistance) {
-                if (Math.abs(deltaX) > swipeDistance) {
-                    // 达到阈值，切换图片
-                    if (deltaX > 0) {
-                        navigateLightbox(-1); // 向右滑 = 上一张
-                    } else {
-                        navigateLightbox(1);  // 向左滑 = 下一张
-                    }
+            async function loadNextPage() {
+                if (loading || !cursor) return;
+                loading = true;
+                loadMore.textContent = '⏳ 加载中...';
+                
+                try {
+                    const separator = apiUrl.includes('?') ? '&' : '?';
+                    const res = await fetch(\`\${apiUrl}\${separator}cursor=\${encodeURIComponent(cursor)}\`);
+                    if (!res.ok) throw new Error(\`HTTP \${res.status}\`);
+                    const page = await res.json();
+                    
+                    grid.insertAdjacentHTML('beforeend', page.html);
+                    loadedCount += page.galleries.length;
+                    cursor = page.has_more ? page.cursor : null;
+                } catch (e) {
+                    console.error('Load more failed:', e);
+                    loadMore.textContent = '😔 加载失败，点击重试';
+                    loading = false;
+                    return;
+                }
+                
+                document.querySelectorAll('.loaded-count').forEach(el => {
+                    el.textContent = cursor ? \`\${loadedCount}+\` : String(loadedCount);
+                });
+                loading = false;
+                
+                if (cursor) {
+                    loadMore.textContent = '⬇️ 加载更多';
+                    const pageUrl = new URL(loadMore.href);
+                    pageUrl.searchParams.set('cursor', cursor);
+                    loadMore.href = pageUrl.toString();
+                    // 重新观察：若哨兵仍在视口内会立即触发下一页
+                    observer.unobserve(loadMore);
+                    observer.observe(loadMore);
                 } else {
-                    // 未达到阈值，回弹
-                    lightboxImg.style.transform = 'translateX(0)';
-                    lightboxImg.style.opacity = '1';
+                    observer.disconnect();
+                    loadMore.textContent = '🎉 已经到底啦';
+                    loadMore.removeAttribute('href');
                 }
-            } else {
-                // 不是水平滑动，回弹
-                lightboxImg.style.transform = 'translateX(0)';
-                lightboxImg.style.opacity = '1';
             }
             
-            currentTranslateX = 0;
-        }, { passive: true });
-        
-        // 批量下载功能（隐藏，保留接口）
-        async function downloadAllImages() {
-            // 预留批量下载功能
-            // 未来可以通过ZIP打包或逐个下载
-            console.log('Batch download feature reserved for future use');
-        }
+            loadMore.addEventListener('click', (e) => {
+                e.preventDefault();
+                loadNextPage();
+            });
+            observer.observe(loadMore);
+        })();
     </script>
 </body>
 </html>`;
 }
 
-// 404 页面
-function generateNotFoundHTML() {
+// 生成单个画廊卡片
+function generateGalleryCard(gallery, proxyHosts = []) {
+    // gallery 可以是完整画廊数据，也可以是广场索引摘要（covers 为前几张封面）
+    const { id, title, author, created, image_count, theme_colors, tags = [] } = gallery;
+    const images = gallery.covers || gallery.images || [];
+    const count = image_count || images.length;
+    const hasGif = gallery.gif !== undefined ? gallery.gif : images.some(isGifUrl);
+    
+    // 智能选择封面布局（根据总图片数 + ID哈希），封面不足时退化为可用张数
+    const layoutType = getSmartLayout(Math.min(count, Math.max(images.length, 1)), id);
+    const coverImages = images.slice(0, layoutType.imageCount)
+        .map((img, index) => getImageSrc(id, index, img, proxyHosts));
+    const coverHTML = generateCoverHTML(coverImages, layoutType.layout);
+    
+    // 格式化时间
+    const timeAgo = formatTimeAgo(created);
+    
+    // 🎨 应用主题色（如果有）
+    const cardStyle = theme_colors ? 
+        `style="--theme-primary: ${escapeHtml(String(theme_colors.primary))}; --theme-accent: ${escapeHtml(String(theme_colors.accent))};"` : '';
+    const hasTheme = theme_colors ? 'has-theme' : '';
+    
+    return `
+    <div class="gallery-card ${hasTheme}" ${cardStyle} onclick="openGallery('${escapeHtml(id)}')">
+        <div class="card-cover">
+            ${coverHTML}
+            ${hasGif ? '<div class="gif-badge">🎬 GIF</div>' : ''}
+        </div>
+        <div class="card-info">
+            <div class="card-title">${escapeHtml(title || '图集')}</div>
+            <div class="card-meta">
+                <a class="card-meta-item card-author" href="/author/${encodeURIComponent(author || '未知')}" onclick="event.stopPropagation()">👤 ${escapeHtml(author || '未知')}</a>
+                <div class="card-meta-item">📸 ${count} 张</div>
+            </div>
+            ${tags.length > 0 ? `
+            <div class="tag-list">
+                ${tags.map(tag => `<a class="tag-chip" href="/tag/${encodeURIComponent(tag)}" onclick="event.stopPropagation()">#${escapeHtml(tag)}</a>`).join('')}
+            </div>` : ''}
+            <div class="card-time">🕐 ${timeAgo}</div>
+        </div>
+    </div>`;
+}
+
+// 智能布局策略（渐进优化：5种布局）
+function getSmartLayout(totalCount, galleryId) {
+    // 特殊处理：1-2张图的画廊
+    if (totalCount === 1) {
+        return { layout: 'single', imageCount: 1 };
+    } else if (totalCount === 2) {
+        return { layout: 'split', imageCount: 2 };
+    }
+    
+    // 3+张图：使用ID哈希来决定布局，增加视觉多样性
+    // 渐进优化：从3种增加到5种布局
+    const hash = simpleHash(galleryId);
+    const layoutIndex = hash % 5; // 0, 1, 2, 3, 4
+    
+    switch(layoutIndex) {
+        case 0:
+            // 20% 概率：2图左右对半（简约大气）
+            return { layout: 'split', imageCount: 2 };
+        case 1:
+            // 20% 概率：3图1大2小（艺术感）
+            return { layout: 'featured', imageCount: 3 };
+        case 2:
+            // 20% 概率：4图网格（饱满丰富）
+            return { layout: 'grid', imageCount: 4 };
+        case 3:
+            // 20% 概率：大横图单图（视觉冲击）
+            return { layout: 'hero', imageCount: 1 };
+        case 4:
+            // 20% 概率：3竖图横排（精致优雅）
+            return { layout: 'triple', imageCount: 3 };
+        default:
+            return { layout: 'grid', imageCount: 4 };
+    }
+}
+
+// 简单哈希函数（将字符串转为数字）
+function simpleHash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash; // Convert to 32bit integer
+    }
+    return Math.abs(hash);
+}
+
+// 生成封面 SVG：images 为 data URI（加载失败的为 null，用主题色色块代替）
+// 底部渐变条上显示标题、作者和图片数量
+function generateCoverSVG(galleryData, images, layout) {
+    const width = COVER_WIDTH;
+    const height = COVER_HEIGHT;
+    const colors = galleryData.theme_colors || {};
+    const primary = escapeHtml(colors.primary || '#667eea');
+    const accent = escapeHtml(colors.accent || '#764ba2');
+    const title = escapeHtml(truncateText(galleryData.title || '图集', 40));
+    const subtitle = escapeHtml(`${truncateText(galleryData.author || '未知', 20)} · ${(galleryData.images || []).length} 张图片`);
+
+    const cells = getCoverCells(layout, width, height, 6).map((cell, i) => {
+        const attrs = `x="${cell.x}" y="${cell.y}" width="${cell.w}" height="${cell.h}"`;
+        return images[i]
+            ? `<image ${attrs} href="${images[i]}" preserveAspectRatio="xMidYMid slice"/>`
+            : `<rect ${attrs} fill="url(#placeholder)"/>`;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <defs>
+        <linearGradient id="placeholder" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="${primary}"/>
+            <stop offset="1" stop-color="${accent}"/>
+        </linearGradient>
+        <linearGradient id="shade" x1="0" y1="0" x2="0" y2="1">
+            <stop offset="0" stop-color="#000" stop-opacity="0"/>
+            <stop offset="1" stop-color="#000" stop-opacity="0.75"/>
+        </linearGradient>
+    </defs>
+    <rect width="${width}" height="${height}" fill="#111"/>
+    ${cells.join('\n    ')}
+    <rect y="${height - 200}" width="${width}" height="200" fill="url(#shade)"/>
+    <text x="48" y="${height - 88}" fill="#fff" font-size="52" font-weight="700" font-family="-apple-system, 'PingFang SC', 'Microsoft YaHei', sans-serif">${title}</text>
+    <text x="48" y="${height - 40}" fill="#fff" fill-opacity="0.85" font-size="28" font-family="-apple-system, 'PingFang SC', 'Microsoft YaHei', sans-serif">${subtitle}</text>
+</svg>`;
+}
+
+// 获取封面布局（废弃，保留兼容）
+function getCoverLayout(count) {
+    if (count === 1) return 'single';
+    if (count === 2) return 'split';
+    if (count === 3) return 'featured';
+    return 'grid';
+}
+
+// 生成封面HTML
+function generateCoverHTML(images, layout) {
+    // Hero布局：大横图单图
+    if (layout === 'hero') {
+        return `<div class="cover-hero"><img src="${escapeHtml(images[0])}" alt="" class="cover-img" loading="lazy"></div>`;
+    }
+    
+    // Single布局：单图（原有）
+    if (layout === 'single') {
+        return `<img src="${escapeHtml(images[0])}" alt="" class="cover-img" loading="lazy">`;
+    }
+    
+    // 其他网格布局
+    const gridClass = layout === 'split' ? 'cover-grid-2' : 
+                      layout === 'featured' ? 'cover-grid-3' : 
+                      layout === 'triple' ? 'cover-grid-triple' :
+                      'cover-grid-4';
+    
+    return `
+    <div class="cover-grid ${gridClass}">
+        ${images.map(img => 
+            `<img src="${escapeHtml(img)}" alt="" class="cover-img" loading="lazy">`
+        ).join('')}
+    </div>`;
+}
+
+// 剩余有效期文案
+function formatRemaining(expiresAt) {
+    if (expiresAt === null) return '♾️ 永久有效';
+
+    const diff = expiresAt - Date.now();
+    const hours = Math.floor(diff / 3600000);
+
+    if (hours < 1) return '⏰ 即将过期';
+    if (hours < 24) return `⏰ 剩余 ${hours} 小时`;
+    return `⏰ 剩余 ${Math.ceil(diff / 86400000)} 天`; // 与接口中的 expires_in_days 一致
+}
+
+// 格式化时间
+function formatTimeAgo(timestamp) {
+    const now = Date.now();
+    const diff = now - timestamp;
+    
+    const minutes = Math.floor(diff / 60000);
+    const hours = Math.floor(diff / 3600000);
+    const days = Math.floor(diff / 86400000);
+    
+    if (minutes < 1) return '刚刚';
+    if (minutes < 60) return `${minutes}分钟前`;
+    if (hours < 24) return `${hours}小时前`;
+    if (days < 30) return `${days}天前`;
+    return new Date(timestamp).toLocaleDateString('zh-CN');
+}
+
+// 广场错误页面
+function generatePlazaErrorHTML(errorMsg) {
     return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>画廊不存在</title>
+    <title>加载失败 - 画廊广场</title>
     <style>
         body {
             font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
@@ -1066,45 +5111,23 @@ function generateNotFoundHTML() {
             font-size: 48px;
             margin-bottom: 20px;
         }
-        .error-box p {
-            color: #666;
-            font-size: 16px;
-        }
     </style>
 </head>
 <body>
     <div class="error-box">
-        <h1>404</h1>
-        <p>😔 画廊不存在或已过期</p>
-        <p style="margin-top: 20px; font-size: 14px;">画廊有效期为 30 天</p>
+        <h1>😔</h1>
+        <h3>加载失败</h3>
+        <p style="color: #666; margin-top: 12px;">${escapeHtml(errorMsg)}</p>
+        <button onclick="location.reload()" style="margin-top: 20px; padding: 10px 20px; border-radius: 8px; border: none; background: #667eea; color: white; cursor: pointer;">
+            重试
+        </button>
     </div>
 </body>
 </html>`;
 }
 
-// HTML 转义
-function escapeHtml(text) {
-    const map = {
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#039;'
-    };
-    return String(text).replace(/[&<>"']/g, m => map[m]);
-}
-
-// 生成画廊广场页面
-function generatePlazaHTML(galleries) {
-    const totalCount = galleries.length;
-    
-    return `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>画廊广场 - Gallery Plaza</title>
-    <style>
+// 管理后台共用样式（与画廊广场同一套配色变量与组件）
+const ADMIN_STYLES = `
         :root {
             --bg-primary: #fafafa;
             --bg-secondary: #ffffff;
@@ -1115,6 +5138,7 @@ function generatePlazaHTML(galleries) {
             --shadow: 0 2px 12px rgba(0,0,0,0.08);
             --shadow-hover: 0 8px 24px rgba(0,0,0,0.12);
             --accent: #667eea;
+            --danger: #e5484d;
             --radius: 16px;
         }
         
@@ -1128,6 +5152,7 @@ function generatePlazaHTML(galleries) {
             --shadow: 0 2px 12px rgba(0,0,0,0.3);
             --shadow-hover: 0 8px 24px rgba(0,0,0,0.5);
             --accent: #8b9efc;
+            --danger: #ff6369;
         }
         
         * { 
@@ -1144,7 +5169,6 @@ function generatePlazaHTML(galleries) {
             transition: background 0.3s ease, color 0.3s ease;
         }
         
-        /* 顶部导航栏 */
         .navbar {
             position: sticky;
             top: 0;
@@ -1152,7 +5176,6 @@ function generatePlazaHTML(galleries) {
             border-bottom: 1px solid var(--border-color);
             padding: 16px 0;
             z-index: 100;
-            backdrop-filter: blur(10px);
             box-shadow: var(--shadow);
         }
         
@@ -1162,609 +5185,600 @@ function generatePlazaHTML(galleries) {
             padding: 0 20px;
             display: flex;
             justify-content: space-between;
-            align-items: center;
-        }
-        
-        .navbar-title {
-            font-size: 24px;
-            font-weight: 700;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            background-clip: text;
-        }
-        
-        .navbar-subtitle {
-            font-size: 14px;
-            color: var(--text-secondary);
-            margin-left: 12px;
-        }
-        
-        .navbar-actions {
-            display: flex;
-            gap: 12px;
-        }
-        
-        .btn {
-            background: var(--bg-primary);
-            border: 1px solid var(--border-color);
-            padding: 8px 16px;
-            border-radius: 8px;
-            cursor: pointer;
-            font-size: 14px;
-            color: var(--text-primary);
-            transition: all 0.2s;
-            display: flex;
-            align-items: center;
-            gap: 6px;
-        }
-        
-        .btn:hover {
-            transform: translateY(-2px);
-            box-shadow: var(--shadow);
-        }
-        
-        /* 容器 */
-        .container {
-            max-width: 1400px;
-            margin: 0 auto;
-            padding: 30px 20px;
-        }
-        
-        /* 统计信息 */
-        .stats {
-            text-align: center;
-            margin-bottom: 40px;
-            padding: 30px;
-            background: var(--bg-secondary);
-            border-radius: var(--radius);
-            box-shadow: var(--shadow);
-        }
-        
-        .stats-number {
-            font-size: 48px;
-            font-weight: 700;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            background-clip: text;
-            margin-bottom: 8px;
-        }
-        
-        .stats-label {
-            font-size: 16px;
-            color: var(--text-secondary);
-        }
-        
-        /* 瀑布流画廊 */
-        .plaza-gallery {
-            column-count: 4;
-            column-gap: 20px;
-        }
-        
-        .gallery-card {
-            background: var(--bg-secondary);
-            border-radius: var(--radius);
-            overflow: hidden;
-            box-shadow: var(--shadow);
-            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-            cursor: pointer;
-            break-inside: avoid;
-            margin-bottom: 20px;
-            position: relative;
-        }
-        
-        .gallery-card:hover {
-            transform: translateY(-8px);
-            box-shadow: var(--shadow-hover);
-        }
-        
-        /* 🎨 主题色样式 */
-        .gallery-card.has-theme {
-            border: 2px solid transparent;
-            background: linear-gradient(var(--bg-secondary), var(--bg-secondary)) padding-box,
-                        linear-gradient(135deg, var(--theme-primary, #6366f1), var(--theme-accent, #8b5cf6)) border-box;
-            position: relative;
-        }
-        
-        .gallery-card.has-theme:hover {
-            box-shadow: 0 20px 60px -15px var(--theme-primary), 
-                        0 0 0 1px var(--theme-primary);
-            transform: translateY(-10px);
-        }
-        
-        .gallery-card.has-theme .gif-badge {
-            background: linear-gradient(135deg, var(--theme-primary), var(--theme-accent));
-            border: none;
+            align-items: center;
         }
         
-        .gallery-card.has-theme .card-time {
-            background: linear-gradient(135deg, var(--theme-primary), var(--theme-accent));
+        .navbar-title {
+            font-size: 24px;
+            font-weight: 700;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
             -webkit-background-clip: text;
             -webkit-text-fill-color: transparent;
             background-clip: text;
-            font-weight: 600;
         }
         
-        /* 封面拼图 */
-        .card-cover {
-            position: relative;
-            width: 100%;
-            overflow: hidden;
-            background: var(--bg-primary);
+        .navbar-actions {
+            display: flex;
+            gap: 12px;
         }
         
-        .cover-grid {
-            display: grid;
-            gap: 2px;
+        .btn {
+            background: var(--bg-primary);
+            border: 1px solid var(--border-color);
+            padding: 8px 16px;
+            border-radius: 8px;
+            cursor: pointer;
+            font-size: 14px;
+            color: var(--text-primary);
+            transition: all 0.2s;
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
         }
         
-        .cover-grid-2 {
-            grid-template-columns: 1fr 1fr;
+        .btn:hover {
+            transform: translateY(-2px);
+            box-shadow: var(--shadow);
         }
         
-        /* 2图布局：左右对半 */
-        .cover-grid-2 .cover-img {
-            height: 200px;
+        .btn-primary {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            border-color: transparent;
+            color: white;
         }
         
-        .cover-grid-3 {
-            grid-template-columns: 1fr 1fr;
-            grid-template-rows: 2fr 1fr;
+        .btn-danger {
+            color: var(--danger);
         }
         
-        .cover-grid-3 img:first-child {
-            grid-column: 1 / 3;
+        .search-input {
+            background: var(--bg-primary);
+            border: 1px solid var(--border-color);
+            padding: 8px 14px;
+            border-radius: 8px;
+            font-size: 14px;
+            color: var(--text-primary);
+            outline: none;
+            transition: border-color 0.2s;
         }
         
-        .cover-grid-4 {
-            grid-template-columns: 1fr 1fr;
-            grid-template-rows: 1fr 1fr;
+        .search-input:focus {
+            border-color: var(--accent);
         }
         
-        .cover-img {
-            width: 100%;
-            height: 180px;
-            object-fit: cover;
-            transition: transform 0.3s;
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            padding: 30px 20px;
         }
         
-        /* 单图：大图展示 */
-        .card-cover img.cover-img:only-child {
-            height: 300px;
-            object-fit: cover;
+        .panel {
+            background: var(--bg-secondary);
+            border-radius: var(--radius);
+            box-shadow: var(--shadow);
+            padding: 24px;
+            margin-bottom: 24px;
+        }
+`;
+
+// 管理后台登录页
+function generateAdminLoginHTML(errorMsg = '') {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>登录 - 画廊管理后台</title>
+    <style>${ADMIN_STYLES}
+        .login-box {
+            max-width: 360px;
+            margin: 15vh auto 0;
+            text-align: center;
         }
         
-        /* 3图布局：1大2小 */
-        .cover-grid-3 .cover-img:first-child {
-            height: 240px;
+        .login-box .navbar-title {
+            margin-bottom: 24px;
         }
         
-        .cover-grid-3 .cover-img:not(:first-child) {
-            height: 120px;
+        .login-box .search-input {
+            width: 100%;
+            margin-bottom: 16px;
         }
         
-        /* 4图网格：标准高度 */
-        .cover-grid-4 .cover-img {
-            height: 150px;
+        .login-box .btn {
+            width: 100%;
+            justify-content: center;
         }
         
-        /* 新增：大横图单图（Hero布局）*/
-        .cover-hero .cover-img {
-            height: 320px;
-            object-fit: cover;
+        .login-error {
+            color: var(--danger);
+            font-size: 14px;
+            margin-bottom: 16px;
+        }
+    </style>
+</head>
+<body>
+    <div class="panel login-box">
+        <div class="navbar-title">🛠️ 画廊管理后台</div>
+        ${errorMsg ? `<div class="login-error">${escapeHtml(errorMsg)}</div>` : ''}
+        <form action="/admin/login" method="post">
+            <input class="search-input" type="password" name="token" placeholder="ADMIN_TOKEN" autocomplete="current-password" required autofocus>
+            <button class="btn btn-primary" type="submit">登录</button>
+        </form>
+    </div>
+    <script>
+        if (localStorage.getItem('theme') === 'dark') {
+            document.documentElement.setAttribute('data-theme', 'dark');
+        }
+    </script>
+</body>
+</html>`;
+}
+
+// 管理后台控制台：画廊列表（搜索、删除、续期、隐藏）和配额用量图表
+// 数据通过 /admin/api/* 接口加载
+function generateAdminHTML() {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>画廊管理后台</title>
+    <style>${ADMIN_STYLES}
+        .quota-summary {
+            display: flex;
+            justify-content: space-between;
+            align-items: baseline;
+            margin-bottom: 16px;
         }
         
-        /* 新增：3竖图横排（Triple布局）*/
-        .cover-grid-triple {
-            grid-template-columns: 1fr 1fr 1fr;
+        .quota-number {
+            font-size: 32px;
+            font-weight: 700;
         }
         
-        .cover-grid-triple .cover-img {
-            height: 260px;
-            object-fit: cover;
+        .quota-number.warning {
+            color: var(--danger);
         }
         
-        .gallery-card:hover .cover-img {
-            transform: scale(1.05);
+        .quota-label {
+            color: var(--text-secondary);
+            font-size: 14px;
         }
         
-        /* GIF 标识 */
-        .gif-badge {
-            position: absolute;
-            top: 12px;
-            right: 12px;
-            background: rgba(0,0,0,0.8);
-            backdrop-filter: blur(10px);
-            color: white;
-            padding: 4px 12px;
-            border-radius: 20px;
-            font-size: 12px;
-            font-weight: 600;
+        /* 配额柱状图 */
+        .quota-chart {
             display: flex;
-            align-items: center;
-            gap: 4px;
+            align-items: flex-end;
+            gap: 6px;
+            height: 120px;
+            border-bottom: 1px solid var(--border-color);
         }
         
-        /* 卡片信息 */
-        .card-info {
-            padding: 16px;
+        .quota-bar {
+            flex: 1;
+            min-height: 2px;
+            border-radius: 4px 4px 0 0;
+            background: linear-gradient(180deg, #667eea 0%, #764ba2 100%);
         }
         
-        .card-title {
-            font-size: 16px;
-            font-weight: 600;
-            color: var(--text-primary);
-            margin-bottom: 8px;
-            overflow: hidden;
-            text-overflow: ellipsis;
-            white-space: nowrap;
+        .quota-dates {
+            display: flex;
+            justify-content: space-between;
+            color: var(--text-tertiary);
+            font-size: 12px;
+            margin-top: 6px;
         }
         
-        .card-meta {
+        .toolbar {
             display: flex;
-            gap: 12px;
-            font-size: 13px;
-            color: var(--text-secondary);
-            flex-wrap: wrap;
+            gap: 8px;
+            margin-bottom: 16px;
         }
         
-        .card-meta-item {
-            display: flex;
-            align-items: center;
-            gap: 4px;
+        .toolbar .search-input {
+            flex: 1;
         }
         
-        .card-time {
-            font-size: 12px;
-            color: var(--text-tertiary);
-            margin-top: 6px;
+        /* 画廊列表 */
+        .gallery-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
         }
         
-        /* 空状态 */
-        .empty-state {
-            text-align: center;
-            padding: 80px 20px;
+        .gallery-table th,
+        .gallery-table td {
+            padding: 10px 8px;
+            border-bottom: 1px solid var(--border-color);
+            text-align: left;
+            vertical-align: middle;
+        }
+        
+        .gallery-table th {
             color: var(--text-secondary);
+            font-weight: 500;
         }
         
-        .empty-state-icon {
-            font-size: 64px;
-            margin-bottom: 20px;
-            opacity: 0.5;
+        .gallery-table a {
+            color: var(--accent);
+            text-decoration: none;
         }
         
-        /* 广场页脚 */
-        .plaza-footer {
-            text-align: center;
-            padding: 60px 20px 40px;
-            color: var(--text-secondary);
-            border-top: 1px solid var(--border-color);
-            margin-top: 80px;
-            background: var(--bg-secondary);
+        .gallery-table .muted {
+            color: var(--text-tertiary);
+            font-size: 12px;
         }
         
-        .plaza-footer p {
-            margin: 0;
-            font-size: 14px;
+        .gallery-table .actions {
+            display: flex;
+            gap: 6px;
+            flex-wrap: wrap;
         }
         
-        .plaza-footer a {
-            color: var(--accent);
-            text-decoration: none;
-            font-weight: 600;
-            transition: all 0.2s;
+        .gallery-table .btn {
+            padding: 4px 10px;
+            font-size: 13px;
         }
         
-        .plaza-footer a:hover {
-            color: #667eea;
-            text-decoration: underline;
+        .gallery-table select {
+            padding: 3px 6px;
+            border: 1px solid var(--border-color);
+            border-radius: 6px;
+            background: var(--bg-secondary);
+            color: var(--text-primary);
+            font-size: 13px;
         }
         
-        /* 响应式 */
-        @media (max-width: 1200px) {
-            .plaza-gallery { column-count: 3; }
+        .badge-hidden {
+            display: inline-block;
+            padding: 0 8px;
+            border-radius: 10px;
+            font-size: 12px;
+            background: var(--border-color);
+            color: var(--text-secondary);
         }
         
-        @media (max-width: 768px) {
-            .plaza-gallery { 
-                column-count: 2; 
-                column-gap: 12px;
-            }
-            .navbar-title {
-                font-size: 20px;
-            }
-            .navbar-subtitle {
-                display: none;
-            }
-            .stats-number {
-                font-size: 36px;
-            }
-            .cover-img {
-                height: 150px;
-            }
-            .cover-grid-3 .cover-img:first-child {
-                height: 200px;
-            }
-            .cover-grid-3 .cover-img:not(:first-child) {
-                height: 100px;
-            }
-            /* Hero布局移动端优化 */
-            .cover-hero .cover-img {
-                height: 240px;
-            }
-            /* Triple布局移动端优化 */
-            .cover-grid-triple .cover-img {
-                height: 200px;
-            }
+        .load-more {
+            display: block;
+            margin: 20px auto 0;
+        }
+        
+        .empty-state {
+            text-align: center;
+            padding: 40px;
+            color: var(--text-secondary);
         }
         
-        @media (max-width: 480px) {
-            .container {
-                padding: 20px 12px;
+        @media (max-width: 768px) {
+            .gallery-table .col-optional {
+                display: none;
             }
         }
     </style>
 </head>
 <body>
-    <!-- 导航栏 -->
     <nav class="navbar">
         <div class="navbar-content">
-            <div style="display: flex; align-items: center;">
-                <div class="navbar-title">🎨 画廊广场</div>
-                <span class="navbar-subtitle">探索 ${totalCount} 个精彩画廊</span>
-            </div>
+            <div class="navbar-title">🛠️ 画廊管理后台</div>
             <div class="navbar-actions">
+                <a class="btn" href="/plaza" style="text-decoration: none;">🎨 画廊广场</a>
                 <button class="btn" onclick="toggleTheme()">
                     <span id="theme-icon">🌙</span>
                     <span id="theme-text">深色</span>
                 </button>
-                <button class="btn" onclick="window.location.reload()">
-                    🔄 刷新
-                </button>
+                <form action="/admin/logout" method="post">
+                    <button class="btn" type="submit">退出</button>
+                </form>
             </div>
         </div>
     </nav>
 
     <div class="container">
-        <!-- 统计信息 -->
-        <div class="stats">
-            <div class="stats-number">${totalCount}</div>
-            <div class="stats-label">精彩画廊等你探索</div>
+        <!-- 配额用量 -->
+        <div class="panel">
+            <div class="quota-summary">
+                <div>
+                    <div class="quota-label">今日创建</div>
+                    <div class="quota-number" id="quota-today">-</div>
+                </div>
+                <div class="quota-label" id="quota-meta"></div>
+            </div>
+            <div class="quota-chart" id="quota-chart"></div>
+            <div class="quota-dates" id="quota-dates"></div>
         </div>
 
-        <!-- 画廊网格 -->
-        ${totalCount > 0 ? `
-        <div class="plaza-gallery">
-            ${galleries.map(gallery => generateGalleryCard(gallery)).join('')}
-        </div>
-        ` : `
-        <div class="empty-state">
-            <div class="empty-state-icon">📭</div>
-            <h3>暂无画廊</h3>
-            <p style="margin-top: 8px;">快去创建第一个画廊吧！</p>
+        <!-- 画廊列表 -->
+        <div class="panel">
+            <form class="toolbar" id="search-form">
+                <input class="search-input" type="search" id="search-input" placeholder="按 ID、标题或作者搜索">
+                <button class="btn" type="submit">🔍 搜索</button>
+            </form>
+            <table class="gallery-table">
+                <thead>
+                    <tr>
+                        <th>画廊</th>
+                        <th class="col-optional">图片</th>
+                        <th class="col-optional">创建时间</th>
+                        <th>到期时间</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody id="gallery-rows"></tbody>
+            </table>
+            <div class="empty-state" id="empty-state" hidden>没有找到画廊</div>
+            <button class="btn load-more" id="load-more" hidden>⬇️ 加载更多</button>
         </div>
-        `}
-    </div>
-
-    <!-- 页脚 -->
-    <div class="plaza-footer">
-        <p>🌍 全球可访问 · ⚡ 由 <a href="https://1yo.cc" target="_blank" rel="noopener noreferrer">Nebuluxe</a> 强力驱动</p>
-        <p style="margin-top: 12px; font-size: 12px; opacity: 0.7;">
-            探索精彩画廊 · 深色模式 · 实时更新
-        </p>
     </div>
 
     <script>
-        // 深色模式
+        // 深色模式（与画廊广场共用设置）
         function toggleTheme() {
             const html = document.documentElement;
-            const currentTheme = html.getAttribute('data-theme');
-            const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+            const newTheme = html.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
             html.setAttribute('data-theme', newTheme);
-            
             document.getElementById('theme-icon').textContent = newTheme === 'dark' ? '☀️' : '🌙';
             document.getElementById('theme-text').textContent = newTheme === 'dark' ? '浅色' : '深色';
-            
             localStorage.setItem('theme', newTheme);
         }
         
-        // 加载保存的主题
-        (function() {
-            const savedTheme = localStorage.getItem('theme') || 'light';
-            if (savedTheme === 'dark') {
-                document.documentElement.setAttribute('data-theme', 'dark');
-                document.getElementById('theme-icon').textContent = '☀️';
-                document.getElementById('theme-text').textContent = '浅色';
+        if (localStorage.getItem('theme') === 'dark') {
+            document.documentElement.setAttribute('data-theme', 'dark');
+            document.getElementById('theme-icon').textContent = '☀️';
+            document.getElementById('theme-text').textContent = '浅色';
+        }
+        
+        // 转义 HTML（含引号，结果也会放进属性值）
+        function esc(text) {
+            const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+            return String(text == null ? '' : text).replace(/[&<>"']/g, m => map[m]);
+        }
+        
+        function formatDate(value) {
+            return value ? new Date(value).toLocaleString('zh-CN', { hour12: false }) : '-';
+        }
+        
+        async function api(path, options = {}) {
+            const res = await fetch('/admin/api' + path, {
+                ...options,
+                headers: { 'Content-Type': 'application/json' }
+            });
+            if (res.status === 401) {
+                window.location.reload();
+                throw new Error('登录已过期');
             }
-        })();
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.message || data.error || \`HTTP \${res.status}\`);
+            return data;
+        }
         
-        // 点击卡片跳转
-        function openGallery(id) {
-            window.location.href = \`/gallery/\${id}\`;
+        // 配额：今日用量 + 最近 14 天柱状图
+        async function loadQuota() {
+            try {
+                const [quota, data] = await Promise.all([api('/quota'), api('/quota/history?days=14')]);
+                const history = data.history.slice().reverse();
+                const max = Math.max(1, ...history.map(day => day.used));
+                
+                const todayEl = document.getElementById('quota-today');
+                todayEl.textContent = \`\${quota.used} / \${quota.limit}\`;
+                todayEl.classList.toggle('warning', quota.warning);
+                document.getElementById('quota-meta').textContent = \`时区 \${quota.timezone} · 最近 14 天\`;
+                
+                document.getElementById('quota-chart').innerHTML = history.map(day =>
+                    \`<div class="quota-bar" style="height: \${(day.used / max) * 100}%" title="\${esc(day.date)}：\${day.used}"></div>\`
+                ).join('');
+                document.getElementById('quota-dates').innerHTML =
+                    \`<span>\${esc(history[0].date)}</span><span>\${esc(quota.date)}</span>\`;
+            } catch (e) {
+                document.getElementById('quota-meta').textContent = '配额加载失败：' + e.message;
+            }
+        }
+        
+        // 画廊列表
+        const rows = document.getElementById('gallery-rows');
+        const loadMore = document.getElementById('load-more');
+        let query = '';
+        let cursor = null;
+        
+        const VISIBILITY_LABELS = { public: '公开', unlisted: '不公开', private: '私密' };
+        
+        function renderRow(gallery) {
+            const id = esc(gallery.id);
+            const visibility = gallery.visibility || (gallery.hidden ? 'unlisted' : 'public');
+            return \`<tr data-id="\${id}">
+                <td>
+                    <a href="/gallery/\${encodeURIComponent(gallery.id)}" target="_blank">\${esc(gallery.title || gallery.id)}</a>
+                    \${visibility !== 'public' ? \`<span class="badge-hidden">\${VISIBILITY_LABELS[visibility]}</span>\` : ''}
+                    \${gallery.password ? '<span class="badge-hidden">🔒 密码</span>' : ''}
+                    \${gallery.broken ? \`<span class="badge-hidden">⚠️ \${gallery.broken} 张失效</span>\` : ''}
+                    <div class="muted">\${id} · \${esc(gallery.author || '未知')}</div>
+                </td>
+                <td class="col-optional">\${esc(gallery.image_count ?? '-')}</td>
+                <td class="col-optional">\${formatDate(gallery.created)}</td>
+                <td>\${gallery.expires_at ? formatDate(gallery.expires_at) : '永久'}</td>
+                <td class="actions">
+                    <button class="btn" data-action="renew">续期</button>
+                    <select data-action="visibility" title="可见性">
+                        \${Object.entries(VISIBILITY_LABELS).map(([value, label]) =>
+                            \`<option value="\${value}"\${value === visibility ? ' selected' : ''}>\${label}</option>\`).join('')}
+                    </select>
+                    <button class="btn" data-action="share">分享</button>
+                    <button class="btn btn-danger" data-action="delete">删除</button>
+                </td>
+            </tr>\`;
+        }
+        
+        async function loadGalleries(reset) {
+            if (reset) {
+                cursor = null;
+                rows.innerHTML = '';
+            }
+            loadMore.hidden = true;
+            try {
+                const params = new URLSearchParams({ q: query });
+                if (cursor) params.set('cursor', cursor);
+                const data = await api('/galleries?' + params);
+                rows.insertAdjacentHTML('beforeend', data.galleries.map(renderRow).join(''));
+                cursor = data.has_more ? data.cursor : null;
+                loadMore.hidden = !cursor;
+                document.getElementById('empty-state').hidden = rows.children.length > 0 || !!cursor;
+            } catch (e) {
+                alert('加载失败：' + e.message);
+            }
         }
+        
+        // 修改可见性
+        rows.addEventListener('change', async (event) => {
+            const select = event.target.closest('select[data-action="visibility"]');
+            if (!select) return;
+            const id = encodeURIComponent(select.closest('tr').dataset.id);
+            try {
+                await api(\`/gallery/\${id}\`, { method: 'PATCH', body: JSON.stringify({ visibility: select.value }) });
+                loadGalleries(true);
+            } catch (e) {
+                alert('操作失败：' + e.message);
+            }
+        });
+        
+        // 行内操作：续期 / 分享 / 删除
+        rows.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const row = button.closest('tr');
+            const id = encodeURIComponent(row.dataset.id);
+            const action = button.dataset.action;
+            
+            try {
+                if (action === 'renew') {
+                    const days = prompt('续期天数（从现在算起）', '30');
+                    if (!days) return;
+                    await api(\`/gallery/\${id}/renew\`, { method: 'POST', body: JSON.stringify({ ttl_days: Number(days) }) });
+                } else if (action === 'share') {
+                    const days = prompt('分享链接有效天数', '7');
+                    if (!days) return;
+                    const data = await api(\`/gallery/\${id}/share\`, { method: 'POST', body: JSON.stringify({ ttl_days: Number(days) }) });
+                    prompt('分享链接（私密画廊凭此链接访问）', data.share_url);
+                    return;
+                } else if (action === 'delete') {
+                    if (!confirm(\`确定删除画廊 \${row.dataset.id}？此操作无法撤销\`)) return;
+                    await api(\`/gallery/\${id}\`, { method: 'DELETE' });
+                    row.remove();
+                    return;
+                }
+                loadGalleries(true);
+            } catch (e) {
+                alert('操作失败：' + e.message);
+            }
+        });
+        
+        document.getElementById('search-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            query = document.getElementById('search-input').value.trim();
+            loadGalleries(true);
+        });
+        
+        loadMore.addEventListener('click', () => loadGalleries(false));
+        
+        loadQuota();
+        loadGalleries(true);
     </script>
 </body>
 </html>`;
 }
 
-// 生成单个画廊卡片
-function generateGalleryCard(gallery) {
-    const { id, title, author, images, created, image_count, theme_colors } = gallery;
-    const count = image_count || images.length;
-    const hasGif = images.some(img => 
-        img.toLowerCase().includes('.gif') || 
-        img.toLowerCase().includes('mmbiz_gif') ||
-        img.toLowerCase().includes('wx_fmt=gif')
-    );
-    
-    // 智能选择封面布局（根据总图片数 + ID哈希）
-    const layoutType = getSmartLayout(count, id);
-    const coverImages = images.slice(0, layoutType.imageCount);
-    const coverHTML = generateCoverHTML(coverImages, layoutType.layout);
-    
-    // 格式化时间
-    const timeAgo = formatTimeAgo(created);
-    
-    // 🎨 应用主题色（如果有）
-    const cardStyle = theme_colors ? 
-        `style="--theme-primary: ${theme_colors.primary}; --theme-accent: ${theme_colors.accent};"` : '';
-    const hasTheme = theme_colors ? 'has-theme' : '';
-    
-    return `
-    <div class="gallery-card ${hasTheme}" ${cardStyle} onclick="openGallery('${escapeHtml(id)}')">
-        <div class="card-cover">
-            ${coverHTML}
-            ${hasGif ? '<div class="gif-badge">🎬 GIF</div>' : ''}
-        </div>
-        <div class="card-info">
-            <div class="card-title">${escapeHtml(title || '图集')}</div>
-            <div class="card-meta">
-                <div class="card-meta-item">👤 ${escapeHtml(author || '未知')}</div>
-                <div class="card-meta-item">📸 ${count} 张</div>
-            </div>
-            <div class="card-time">🕐 ${timeAgo}</div>
-        </div>
-    </div>`;
-}
-
-// 智能布局策略（渐进优化：5种布局）
-function getSmartLayout(totalCount, galleryId) {
-    // 特殊处理：1-2张图的画廊
-    if (totalCount === 1) {
-        return { layout: 'single', imageCount: 1 };
-    } else if (totalCount === 2) {
-        return { layout: 'split', imageCount: 2 };
-    }
-    
-    // 3+张图：使用ID哈希来决定布局，增加视觉多样性
-    // 渐进优化：从3种增加到5种布局
-    const hash = simpleHash(galleryId);
-    const layoutIndex = hash % 5; // 0, 1, 2, 3, 4
-    
-    switch(layoutIndex) {
-        case 0:
-            // 20% 概率：2图左右对半（简约大气）
-            return { layout: 'split', imageCount: 2 };
-        case 1:
-            // 20% 概率：3图1大2小（艺术感）
-            return { layout: 'featured', imageCount: 3 };
-        case 2:
-            // 20% 概率：4图网格（饱满丰富）
-            return { layout: 'grid', imageCount: 4 };
-        case 3:
-            // 20% 概率：大横图单图（视觉冲击）
-            return { layout: 'hero', imageCount: 1 };
-        case 4:
-            // 20% 概率：3竖图横排（精致优雅）
-            return { layout: 'triple', imageCount: 3 };
-        default:
-            return { layout: 'grid', imageCount: 4 };
-    }
-}
-
-// 简单哈希函数（将字符串转为数字）
-function simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32bit integer
+// ========== 配额计数器（Durable Object） ==========
+// Durable Object 的存储操作期间不会处理其他请求（input gate），
+// 因此"读取 - 判断 - 写入"之间不会被并发的创建请求打断
+// 计数按日期保存，每天由 alarm 清理超过 QUOTA_HISTORY_DAYS 的旧记录
+export class QuotaCounter {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
     }
-    return Math.abs(hash);
-}
 
-// 获取封面布局（废弃，保留兼容）
-function getCoverLayout(count) {
-    if (count === 1) return 'single';
-    if (count === 2) return 'split';
-    if (count === 3) return 'featured';
-    return 'grid';
-}
+    async fetch(request) {
+        const url = new URL(request.url);
 
-// 生成封面HTML
-function generateCoverHTML(images, layout) {
-    // Hero布局：大横图单图
-    if (layout === 'hero') {
-        return `<div class="cover-hero"><img src="${escapeHtml(images[0])}" alt="" class="cover-img" loading="lazy"></div>`;
-    }
-    
-    // Single布局：单图（原有）
-    if (layout === 'single') {
-        return `<img src="${escapeHtml(images[0])}" alt="" class="cover-img" loading="lazy">`;
-    }
-    
-    // 其他网格布局
-    const gridClass = layout === 'split' ? 'cover-grid-2' : 
-                      layout === 'featured' ? 'cover-grid-3' : 
-                      layout === 'triple' ? 'cover-grid-triple' :
-                      'cover-grid-4';
-    
-    return `
-    <div class="cover-grid ${gridClass}">
-        ${images.map(img => 
-            `<img src="${escapeHtml(img)}" alt="" class="cover-img" loading="lazy">`
-        ).join('')}
-    </div>`;
-}
+        if (url.pathname === '/reserve' && request.method === 'POST') {
+            const { counters } = await request.json();
+            const usage = await this.getUsage(counters.map(counter => counter.name));
+            const exceeded = counters.find(counter => usage[counter.name] >= counter.limit);
+            if (exceeded) {
+                return Response.json({ allowed: false, exceeded: exceeded.name });
+            }
+            const updated = Object.fromEntries(
+                counters.map(counter => [counter.name, usage[counter.name] + 1])
+            );
+            await this.state.storage.put(updated);
+            if (await this.state.storage.getAlarm() === null) {
+                await this.state.storage.setAlarm(Date.now() + 86400000);
+            }
+            return Response.json({ allowed: true, usage: updated });
+        }
 
-// 格式化时间
-function formatTimeAgo(timestamp) {
-    const now = Date.now();
-    const diff = now - timestamp;
-    
-    const minutes = Math.floor(diff / 60000);
-    const hours = Math.floor(diff / 3600000);
-    const days = Math.floor(diff / 86400000);
-    
-    if (minutes < 1) return '刚刚';
-    if (minutes < 60) return `${minutes}分钟前`;
-    if (hours < 24) return `${hours}小时前`;
-    if (days < 30) return `${days}天前`;
-    return new Date(timestamp).toLocaleDateString('zh-CN');
-}
+        if (url.pathname === '/release' && request.method === 'POST') {
+            const { names } = await request.json();
+            const usage = await this.getUsage(names);
+            await this.state.storage.put(Object.fromEntries(
+                names.map(name => [name, Math.max(0, usage[name] - 1)])
+            ));
+            return Response.json({ success: true });
+        }
 
-// 广场错误页面
-function generatePlazaErrorHTML(errorMsg) {
-    return `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>加载失败 - 画廊广场</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            height: 100vh;
-            margin: 0;
-            background: #f5f5f5;
+        if (url.pathname === '/usage' && request.method === 'POST') {
+            const { names } = await request.json();
+            return Response.json(await this.getUsage(names));
         }
-        .error-box {
-            text-align: center;
-            padding: 40px;
-            background: white;
-            border-radius: 12px;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+
+        // 固定窗口计数（密码错误次数、跨实例限流）：{ name, action: get / hit / clear, window }
+        if (url.pathname === '/attempts' && request.method === 'POST') {
+            const { name, action, window } = await request.json();
+            const now = Date.now();
+            let entry = await this.state.storage.get(name);
+            if (!entry || entry.reset <= now) entry = { count: 0, reset: now + window * 1000 };
+            if (action === 'hit') {
+                entry.count++;
+                await this.state.storage.put(name, entry);
+                if (await this.state.storage.getAlarm() === null) {
+                    await this.state.storage.setAlarm(Date.now() + 86400000);
+                }
+            } else if (action === 'clear') {
+                await this.state.storage.delete(name);
+                entry = { count: 0, reset: now };
+            }
+            return Response.json(entry);
         }
-        .error-box h1 {
-            font-size: 48px;
-            margin-bottom: 20px;
+
+        return new Response('Not Found', { status: 404 });
+    }
+
+    // 清理过期的每日计数和固定窗口计数
+    async alarm() {
+        const cutoff = new Date(Date.now() - QUOTA_HISTORY_DAYS * 86400000).toISOString().slice(0, 10);
+        const entries = await this.state.storage.list({ prefix: 'quota:' });
+        const attempts = await this.state.storage.list({ prefix: 'attempts:' });
+        const expired = [
+            ...[...entries.keys()].filter(name => name.slice('quota:'.length, 'quota:'.length + 10) < cutoff),
+            ...[...attempts].filter(([, entry]) => entry.reset <= Date.now()).map(([name]) => name)
+        ];
+        // 单次最多删除 128 个键
+        for (let i = 0; i < expired.length; i += 128) {
+            await this.state.storage.delete(expired.slice(i, i + 128));
+        }
+        if (entries.size + attempts.size > expired.length) {
+            await this.state.storage.setAlarm(Date.now() + 86400000);
         }
-    </style>
-</head>
-<body>
-    <div class="error-box">
-        <h1>😔</h1>
-        <h3>加载失败</h3>
-        <p style="color: #666; margin-top: 12px;">${escapeHtml(errorMsg)}</p>
-        <button onclick="location.reload()" style="margin-top: 20px; padding: 10px 20px; border-radius: 8px; border: none; background: #667eea; color: white; cursor: pointer;">
-            重试
-        </button>
-    </div>
-</body>
-</html>`;
-}
+    }
 
+    async getUsage(names) {
+        // storage.get 单次最多读取 128 个键
+        const values = new Map();
+        for (let i = 0; i < names.length; i += 128) {
+            const batch = await this.state.storage.get(names.slice(i, i + 128));
+            batch.forEach((value, name) => values.set(name, value));
+        }
+        return Object.fromEntries(names.map(name => [name, values.get(name) || 0]));
+    }
+}